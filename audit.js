@@ -0,0 +1,96 @@
+// audit.js
+// Append-only JSON-lines record of every whitelist and firewall change this
+// node makes, and of failed runs. The log rotates by size into audit.log.1,
+// audit.log.2, ... and the oldest file is dropped.
+import { existsSync } from 'fs';
+import { appendFile, mkdir, readFile, rename, stat, unlink } from 'fs/promises';
+import { join } from 'path';
+import { CONFIG_DIR } from './config.js';
+import { normalizeEntry } from './whitelist.js';
+
+// Constants
+export const AUDIT_FILE = join(CONFIG_DIR, 'audit.log');
+const MAX_AUDIT_SIZE = 5 * 1024 * 1024;
+const AUDIT_ROTATIONS = 5;
+const SINCE_UNITS = { m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+const rotatedFile = index => `${AUDIT_FILE}.${index}`;
+
+async function rotate() {
+    const { size } = await stat(AUDIT_FILE).catch(() => ({ size: 0 }));
+    if (size < MAX_AUDIT_SIZE) return;
+
+    await unlink(rotatedFile(AUDIT_ROTATIONS)).catch(() => {});
+    for (let index = AUDIT_ROTATIONS - 1; index >= 1; index--) {
+        if (existsSync(rotatedFile(index))) {
+            await rename(rotatedFile(index), rotatedFile(index + 1));
+        }
+    }
+    await rename(AUDIT_FILE, rotatedFile(1));
+}
+
+// Addresses only; signatures and metadata would bloat every line
+export function auditAddresses(entry) {
+    return entry ? normalizeEntry(entry) : null;
+}
+
+export async function recordAudit(event, details = {}) {
+    const line = JSON.stringify({ time: new Date().toISOString(), event, ...details });
+    try {
+        await mkdir(CONFIG_DIR, { recursive: true });
+        await rotate();
+        await appendFile(AUDIT_FILE, `${line}\n`, { mode: 0o600 });
+    } catch (error) {
+        throw new Error(`Failed to write audit log: ${error.message}`);
+    }
+}
+
+// "30m", "12h" and "7d" count back from now; anything else is parsed as a date
+export function parseSince(value) {
+    const relative = String(value).match(/^(\d+)([mhd])$/);
+    if (relative) {
+        return new Date(Date.now() - parseInt(relative[1]) * SINCE_UNITS[relative[2]] * 1000);
+    }
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// Oldest first, across the rotated files
+export async function readAudit({ since = null, identifier = null, event = null } = {}) {
+    const files = [];
+    for (let index = AUDIT_ROTATIONS; index >= 1; index--) {
+        files.push(rotatedFile(index));
+    }
+    files.push(AUDIT_FILE);
+
+    const records = [];
+    for (const file of files.filter(existsSync)) {
+        for (const line of (await readFile(file, 'utf8')).split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                records.push(JSON.parse(line));
+            } catch {
+                // A line cut short by a crash is skipped, not fatal
+            }
+        }
+    }
+
+    return records.filter(record =>
+        (!since || new Date(record.time) >= since) &&
+        (!identifier || record.identifier === identifier) &&
+        (!event || record.event === event));
+}
+
+export function formatAuditRecord({ time, event, ...details }) {
+    const addresses = value => value ? [value.ipv4, value.ipv6].filter(Boolean).join(', ') : 'none';
+    const parts = [];
+    if (details.command) parts.push(details.command);
+    if (details.identifier) parts.push(details.identifier);
+    if ('from' in details || 'to' in details) parts.push(`${addresses(details.from)} -> ${addresses(details.to)}`);
+    if (details.rule) parts.push(`${details.rule.ip} to port ${details.rule.port}/${details.rule.proto}`);
+    if (details.keyId !== undefined) parts.push(`key ID ${details.keyId || 'none'}`);
+    if (details.reason) parts.push(`(${details.reason})`);
+    if (details.revision) parts.push(`rev ${String(details.revision).slice(0, 12)}`);
+    if (details.error) parts.push(`error: ${details.error}`);
+    return `${new Date(time).toLocaleString()}  ${event}  ${parts.join('  ')}`;
+}
@@ -0,0 +1,40 @@
+// config.js
+// Saved node configuration shared by the TUI and the headless CLI
+import { homedir } from 'os';
+import { join } from 'path';
+import { mkdir, writeFile, readFile, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+
+export const CONFIG_DIR = join(homedir(), '.config', 'ssh-whitelist');
+export const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
+
+export async function ensureConfigDir() {
+    if (!existsSync(CONFIG_DIR)) {
+        await mkdir(CONFIG_DIR, { recursive: true });
+    }
+}
+
+export async function loadConfig() {
+    try {
+        if (!existsSync(CONFIG_FILE)) return null;
+        const data = await readFile(CONFIG_FILE, 'utf-8');
+        return JSON.parse(data);
+    } catch (error) {
+        return null;
+    }
+}
+
+export async function saveConfig(config) {
+    await ensureConfigDir();
+    await writeFile(CONFIG_FILE, JSON.stringify(config, null, 2));
+}
+
+export async function deleteConfig() {
+    try {
+        if (existsSync(CONFIG_FILE)) {
+            await unlink(CONFIG_FILE);
+        }
+    } catch (error) {
+        console.error('Error deleting config:', error);
+    }
+}
@@ -0,0 +1,95 @@
+// control.js
+// Local control API for a running node: HTTP over a Unix socket in the
+// config directory, reachable only by this user. GET /status and
+// GET /whitelist report on the node, POST /refresh runs an update right away.
+// The `status` and `node refresh` commands are its clients; other tools can
+// use e.g. `curl --unix-socket <socket> http://localhost/status`.
+import { existsSync, unlinkSync } from 'fs';
+import { chmod, unlink } from 'fs/promises';
+import { join } from 'path';
+import { CONFIG_DIR, ensureConfigDir } from './config.js';
+
+// Constants
+export const CONTROL_SOCKET = join(CONFIG_DIR, 'control.sock');
+const CLIENT_TIMEOUT = 5000;
+const REFRESH_TIMEOUT = 120000;
+
+const status = { pid: process.pid, startedAt: new Date().toISOString() };
+let server = null;
+
+// Nodes report what they did here; GET /status returns the result
+export function updateStatus(fields) {
+    Object.assign(status, fields);
+}
+
+export function currentStatus() {
+    return { ...status };
+}
+
+async function route(request, { refresh, whitelist }) {
+    const { pathname } = new URL(request.url);
+    if (request.method === 'GET' && pathname === '/status') {
+        return Response.json(status);
+    }
+    if (request.method === 'GET' && pathname === '/whitelist') {
+        return Response.json(await whitelist());
+    }
+    if (request.method === 'POST' && pathname === '/refresh') {
+        await refresh();
+        return Response.json(status);
+    }
+    return Response.json({ error: `No route for ${request.method} ${pathname}` }, { status: 404 });
+}
+
+// Starts the API once per process. A socket left behind by a node that
+// crashed is replaced; one that still answers means a node is running.
+export async function startControlServer({ nodeType, identifier = null, refresh, whitelist }) {
+    if (server) return server;
+
+    await ensureConfigDir();
+    if (existsSync(CONTROL_SOCKET)) {
+        if (await queryControl('/status').then(() => true, () => false)) {
+            throw new Error(`Another node is already running (${CONTROL_SOCKET})`);
+        }
+        await unlink(CONTROL_SOCKET);
+    }
+
+    updateStatus({ nodeType, identifier });
+    try {
+        server = Bun.serve({
+            unix: CONTROL_SOCKET,
+            async fetch(request) {
+                try {
+                    return await route(request, { refresh, whitelist });
+                } catch (error) {
+                    return Response.json({ error: error.message }, { status: 500 });
+                }
+            }
+        });
+        await chmod(CONTROL_SOCKET, 0o600);
+    } catch (error) {
+        throw new Error(`Failed to start control API: ${error.message}`);
+    }
+
+    process.on('exit', () => {
+        try {
+            unlinkSync(CONTROL_SOCKET);
+        } catch {
+            // Already gone
+        }
+    });
+    return server;
+}
+
+export async function queryControl(path, { method = 'GET' } = {}) {
+    const response = await fetch(`http://localhost${path}`, {
+        method,
+        unix: CONTROL_SOCKET,
+        signal: AbortSignal.timeout(method === 'POST' ? REFRESH_TIMEOUT : CLIENT_TIMEOUT)
+    });
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(body.error || `HTTP ${response.status}`);
+    }
+    return body;
+}
@@ -0,0 +1,74 @@
+// encryption.js
+// Encrypts the stored whitelist with a key shared by every node, so the store
+// (and anyone holding its URL) only ever sees ciphertext. Keys are 32 random
+// bytes written as base64; documents record a key ID to tell keys apart.
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+// Constants
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+export function generateEncryptionKey() {
+    return randomBytes(KEY_LENGTH).toString('base64');
+}
+
+export function parseEncryptionKey(text) {
+    const key = Buffer.from(String(text || '').trim(), 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`Encryption key must be ${KEY_LENGTH} bytes, base64 encoded`);
+    }
+    return key;
+}
+
+// Short fingerprint of a key, safe to store next to the ciphertext
+export function encryptionKeyId(text) {
+    return createHash('sha256').update(parseEncryptionKey(text)).digest('hex').slice(0, 16);
+}
+
+export function isEncrypted(document) {
+    return typeof document?.encrypted?.data === 'string';
+}
+
+export function encryptDocument(document, keyText) {
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv(ALGORITHM, parseEncryptionKey(keyText), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(document)), cipher.final()]);
+    return {
+        encrypted: {
+            alg: ALGORITHM,
+            keyId: encryptionKeyId(keyText),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        }
+    };
+}
+
+// Plaintext documents pass through unchanged, so a store can start out
+// unencrypted and be encrypted by its next write
+export function decryptDocument(document, keyText) {
+    if (!isEncrypted(document)) {
+        return document;
+    }
+
+    const { alg, keyId, iv, tag, data } = document.encrypted;
+    if (!keyText) {
+        throw new Error('Whitelist is encrypted, set its key with `config set encryptionKey <key>`');
+    }
+    if (alg !== ALGORITHM) {
+        throw new Error(`Unsupported whitelist encryption: ${alg}`);
+    }
+    if (keyId !== encryptionKeyId(keyText)) {
+        throw new Error(`Whitelist is encrypted with another key (key ID ${keyId})`);
+    }
+
+    try {
+        const decipher = createDecipheriv(ALGORITHM, parseEncryptionKey(keyText), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        const text = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+        return JSON.parse(text.toString('utf8'));
+    } catch (error) {
+        throw new Error(`Failed to decrypt whitelist: ${error.message}`);
+    }
+}
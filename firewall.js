@@ -0,0 +1,592 @@
+// firewall.js
+import { $ } from 'bun';
+import { ipFamily } from './whitelist.js';
+
+// Constants
+export const RULE_TAG = 'ip-whitelister';
+// Marks the rules that drop an enforced port for everyone but its sources
+const ENFORCE_TAG = `${RULE_TAG}-enforce`;
+const NFT_TABLE = 'ip_whitelister';
+const NFT_SETS = {
+    4: { name: 'sources_v4', type: 'ipv4_addr', match: 'ip' },
+    6: { name: 'sources_v6', type: 'ipv6_addr', match: 'ip6' }
+};
+// Enforced protocol and port pairs; new connections to them from sources in
+// no set above are dropped
+const NFT_PORTS = { name: 'managed_ports', type: 'inet_proto . inet_service' };
+const IPTABLES_CHAIN = 'IP_WHITELIST';
+const IPTABLES_BINARIES = { 4: 'iptables', 6: 'ip6tables' };
+// Rich rules with a priority run before the zone's services, accepts first
+const FIREWALLD_PRIORITIES = { accept: -2, drop: -1 };
+const FIREWALLD_FAMILIES = {
+    4: { ipset: 'inet', rule: 'ipv4' },
+    6: { ipset: 'inet6', rule: 'ipv6' }
+};
+// One hash:ip set per family, protocol and port, e.g. ip_whitelister_v4_tcp_22
+const FIREWALLD_IPSET = /^ip_whitelister_v([46])_(tcp|udp)_(\d+)$/;
+// hash:ip,port sets from before, replaced on the next ensureReady
+const LEGACY_FIREWALLD_IPSETS = ['ip_whitelister_v4', 'ip_whitelister_v6'];
+
+export const FIREWALL_BACKENDS = {
+    ufw: { label: 'UFW', binary: 'ufw', package: 'ufw' },
+    nftables: { label: 'nftables', binary: 'nft', package: 'nftables' },
+    iptables: { label: 'iptables', binary: 'iptables', package: 'iptables' },
+    firewalld: { label: 'firewalld', binary: 'firewall-cmd', package: 'firewalld' }
+};
+
+const samePort = (a, b) => a.port === b.port && a.proto === b.proto;
+
+// Every backend enforces the whitelist the same way. A protocol and port pair
+// is enforced while at least one whitelisted source is allowed on it: new
+// connections to it are accepted from its sources and dropped from everyone
+// else, whatever the rest of the firewall allows. Established connections are
+// never cut. A port without sources is left to the rest of the firewall, so
+// an empty whitelist cannot lock the administrator out.
+//
+// Backends implement allow/revoke/listManaged for sources and
+// enforce/release/listEnforced for ports; this base class keeps them in step.
+class FirewallBackend {
+    constructor(type, { port = 22 } = {}) {
+        this.type = type;
+        this.label = FIREWALL_BACKENDS[type].label;
+        this.port = port;
+    }
+
+    async isInstalled() {
+        try {
+            await $`which ${FIREWALL_BACKENDS[this.type].binary}`.quiet();
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async isActive() {
+        return true;
+    }
+
+    // Prepares whatever the backend needs before a sync is planned, then
+    // brings the enforced ports in line with the sources
+    async ensureReady() {
+        await this.syncPorts();
+    }
+
+    // A port is enforced only once its first source is in
+    async addRule(ip, port = this.port, proto = 'tcp') {
+        try {
+            await this.allow(ip, port, proto);
+            if (!(await this.listEnforced()).some(enforced => samePort(enforced, { port, proto }))) {
+                await this.enforce(port, proto);
+            }
+        } catch (error) {
+            throw new Error(`Failed to add ${this.label} rule: ${error.message}`);
+        }
+    }
+
+    // Rules added before protocols were tracked ('any') never enforced a port
+    async removeRule(ip, port = this.port, proto = 'tcp') {
+        try {
+            await this.revoke(ip, port, proto);
+            if (proto !== 'any' && !(await this.listManaged()).some(rule => samePort(rule, { port, proto }))) {
+                if ((await this.listEnforced()).some(enforced => samePort(enforced, { port, proto }))) {
+                    await this.release(port, proto);
+                }
+            }
+        } catch (error) {
+            throw new Error(`Failed to remove ${this.label} rule: ${error.message}`);
+        }
+    }
+
+    // Enforces every port that has sources and releases every other one
+    async syncPorts() {
+        const sources = (await this.listManaged()).filter(rule => rule.proto !== 'any');
+        const enforced = await this.listEnforced();
+        for (const { port, proto } of sources) {
+            if (enforced.some(rule => samePort(rule, { port, proto }))) continue;
+            await this.enforce(port, proto);
+            enforced.push({ port, proto });
+        }
+        for (const { port, proto } of enforced) {
+            if (!sources.some(rule => samePort(rule, { port, proto }))) {
+                await this.release(port, proto);
+            }
+        }
+    }
+
+    // Returns only the rules carrying RULE_TAG, as { ip, port, proto } tuples
+    async listManagedRules() {
+        try {
+            return await this.listManaged();
+        } catch (error) {
+            throw new Error(`Failed to read ${this.label} rules: ${error.message}`);
+        }
+    }
+
+    async listRules() {
+        try {
+            return await this.list();
+        } catch (error) {
+            throw new Error(`Failed to list ${this.label} rules: ${error.message}`);
+        }
+    }
+}
+
+class UFWBackend extends FirewallBackend {
+    constructor(options) {
+        super('ufw', options);
+    }
+
+    async isActive() {
+        try {
+            const status = await $`sudo ufw status`.quiet();
+            return status.stdout.toString().includes('Status: active');
+        } catch {
+            return false;
+        }
+    }
+
+    // Enabling UFW leaves the SSH port open to everyone until it is enforced
+    async ensureReady() {
+        if (!await this.isActive()) {
+            await $`sudo ufw allow ${this.port}`;
+            await $`echo "y" | sudo ufw enable`;
+        }
+        await this.syncPorts();
+    }
+
+    // Prepended, so sources come before the deny of their port and the admin's rules
+    async allow(ip, port, proto) {
+        await $`sudo ufw prepend allow from ${ip} to any port ${port} proto ${proto} comment ${RULE_TAG}`;
+    }
+
+    // Rules added before protocols were tracked match any protocol
+    async revoke(ip, port, proto) {
+        if (proto === 'any') {
+            await $`sudo ufw delete allow from ${ip} to any port ${port}`;
+        } else {
+            await $`sudo ufw delete allow from ${ip} to any port ${port} proto ${proto}`;
+        }
+    }
+
+    // UFW matches the first rule, so the deny goes on top and the port's
+    // sources move back above it
+    async enforce(port, proto) {
+        const sources = (await this.listManaged()).filter(rule => samePort(rule, { port, proto }));
+        await $`sudo ufw prepend deny proto ${proto} to any port ${port} comment ${ENFORCE_TAG}`;
+        for (const { ip } of sources) {
+            await $`sudo ufw delete allow from ${ip} to any port ${port} proto ${proto}`;
+            await this.allow(ip, port, proto);
+        }
+    }
+
+    async release(port, proto) {
+        await $`sudo ufw delete deny proto ${proto} to any port ${port}`;
+    }
+
+    async listEnforced() {
+        const result = await $`sudo ufw status`.quiet();
+        const ports = [];
+        for (const line of result.stdout.toString().split('\n')) {
+            if (!line.trim().endsWith(`# ${ENFORCE_TAG}`)) continue;
+            const match = line.match(/^(\d+)\/(\w+)(?: \(v6\))?\s+DENY(?: IN)?\s+Anywhere/);
+            const rule = match && { port: parseInt(match[1]), proto: match[2] };
+            if (rule && !ports.some(port => samePort(port, rule))) ports.push(rule);
+        }
+        return ports;
+    }
+
+    async list() {
+        const result = await $`sudo ufw status numbered`.quiet();
+        return result.stdout.toString();
+    }
+
+    async listManaged() {
+        const result = await $`sudo ufw status`.quiet();
+        const rules = [];
+        for (const line of result.stdout.toString().split('\n')) {
+            if (!line.trim().endsWith(`# ${RULE_TAG}`)) continue;
+            const match = line.match(/^(\d+)(?:\/(\w+))?(?: \(v6\))?\s+ALLOW(?: IN)?\s+(\S+)/);
+            if (match) {
+                rules.push({ ip: match[3], port: parseInt(match[1]), proto: match[2] || 'any' });
+            }
+        }
+        return rules;
+    }
+}
+
+// Keeps whitelisted sources in a set inside a dedicated table, so the
+// rest of the ruleset is never touched. An accept in one table cannot
+// override a drop in another, so the table enforces the whitelist itself:
+// after the accept rules, new connections to an enforced port are dropped.
+// The drop only matches ports in the enforced set, which stays empty until
+// a port has sources.
+class NftablesBackend extends FirewallBackend {
+    constructor(options) {
+        super('nftables', options);
+    }
+
+    async tableExists() {
+        try {
+            await $`sudo nft list table inet ${NFT_TABLE}`.quiet();
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async setExists(set) {
+        try {
+            await $`sudo nft list set inet ${NFT_TABLE} ${set.name}`.quiet();
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async ensureReady() {
+        // The table is ours alone, so older or half-built layouts are simply
+        // rebuilt. Syncs run this before planning, so the plan sees the empty
+        // sets and adds every source back.
+        const sets = [...Object.values(NFT_SETS), NFT_PORTS];
+        const exists = await this.tableExists();
+        let complete = exists;
+        for (const set of sets) {
+            complete &&= await this.setExists(set);
+        }
+
+        if (!complete) {
+            if (exists) {
+                await $`sudo nft delete table inet ${NFT_TABLE}`;
+            }
+            await $`sudo nft add table inet ${NFT_TABLE}`;
+            await $`sudo nft add chain inet ${NFT_TABLE} input ${'{ type filter hook input priority 0 ; policy accept ; }'}`;
+            await $`sudo nft add set inet ${NFT_TABLE} ${NFT_PORTS.name} ${`{ type ${NFT_PORTS.type} ; }`}`;
+
+            // Each family gets its own set and accept rule, the drop comes last
+            for (const set of Object.values(NFT_SETS)) {
+                await $`sudo nft add set inet ${NFT_TABLE} ${set.name} ${`{ type ${set.type} . inet_proto . inet_service ; }`}`;
+                await $`sudo nft add rule inet ${NFT_TABLE} input ${set.match} saddr . meta l4proto . th dport @${set.name} accept`;
+            }
+            // Only new connections, so revoking an address never cuts a running session
+            await $`sudo nft add rule inet ${NFT_TABLE} input ct state new meta l4proto . th dport @${NFT_PORTS.name} drop`;
+        }
+
+        await this.syncPorts();
+    }
+
+    async allow(ip, port, proto) {
+        const set = NFT_SETS[ipFamily(ip)];
+        await $`sudo nft add element inet ${NFT_TABLE} ${set.name} ${`{ ${ip} . ${proto} . ${port} comment "${RULE_TAG}" }`}`;
+    }
+
+    async revoke(ip, port, proto) {
+        const set = NFT_SETS[ipFamily(ip)];
+        await $`sudo nft delete element inet ${NFT_TABLE} ${set.name} ${`{ ${ip} . ${proto} . ${port} }`}`;
+    }
+
+    async enforce(port, proto) {
+        await $`sudo nft add element inet ${NFT_TABLE} ${NFT_PORTS.name} ${`{ ${proto} . ${port} }`}`;
+    }
+
+    async release(port, proto) {
+        await $`sudo nft delete element inet ${NFT_TABLE} ${NFT_PORTS.name} ${`{ ${proto} . ${port} }`}`;
+    }
+
+    async listEnforced() {
+        if (!await this.setExists(NFT_PORTS)) return [];
+        const result = await $`sudo nft -j list set inet ${NFT_TABLE} ${NFT_PORTS.name}`.quiet();
+        const { nftables } = JSON.parse(result.stdout.toString());
+        const elements = nftables.find(item => item.set)?.set.elem || [];
+        return elements.map(element => {
+            const [proto, port] = (element.elem?.val ?? element).concat;
+            return { port: Number(port), proto };
+        });
+    }
+
+    async list() {
+        const result = await $`sudo nft list table inet ${NFT_TABLE}`.quiet();
+        return result.stdout.toString();
+    }
+
+    async listManaged() {
+        const rules = [];
+        for (const set of Object.values(NFT_SETS)) {
+            if (!await this.setExists(set)) continue;
+
+            const result = await $`sudo nft -j list set inet ${NFT_TABLE} ${set.name}`.quiet();
+            const { nftables } = JSON.parse(result.stdout.toString());
+            const elements = nftables.find(item => item.set)?.set.elem || [];
+            for (const element of elements) {
+                // Elements with a comment are wrapped as { elem: { val, comment } }
+                if (element.elem?.comment !== RULE_TAG) continue;
+                const [ip, proto, port] = element.elem.val.concat;
+                rules.push({ ip, port: Number(port), proto });
+            }
+        }
+        return rules;
+    }
+}
+
+// Keeps whitelisted sources in a dedicated chain jumped to from INPUT,
+// mirrored in ip6tables for IPv6 sources. Sources are accepted at the top of
+// the chain and enforced ports dropped at its end, in both tables.
+class IptablesBackend extends FirewallBackend {
+    constructor(options) {
+        super('iptables', options);
+    }
+
+    async chainExists(binary) {
+        try {
+            await $`sudo ${binary} -n -L ${IPTABLES_CHAIN}`.quiet();
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async ensureReady() {
+        for (const binary of Object.values(IPTABLES_BINARIES)) {
+            if (!await this.chainExists(binary)) {
+                await $`sudo ${binary} -N ${IPTABLES_CHAIN}`;
+            }
+
+            try {
+                await $`sudo ${binary} -C INPUT -j ${IPTABLES_CHAIN}`.quiet();
+            } catch {
+                await $`sudo ${binary} -I INPUT 1 -j ${IPTABLES_CHAIN}`;
+            }
+        }
+        await this.syncPorts();
+    }
+
+    async allow(ip, port, proto) {
+        const binary = IPTABLES_BINARIES[ipFamily(ip)];
+        await $`sudo ${binary} -I ${IPTABLES_CHAIN} 1 -s ${ip} -p ${proto} --dport ${port} -m comment --comment ${RULE_TAG} -j ACCEPT`;
+    }
+
+    async revoke(ip, port, proto) {
+        const binary = IPTABLES_BINARIES[ipFamily(ip)];
+        await $`sudo ${binary} -D ${IPTABLES_CHAIN} -s ${ip} -p ${proto} --dport ${port} -m comment --comment ${RULE_TAG} -j ACCEPT`;
+    }
+
+    async enforce(port, proto) {
+        for (const binary of Object.values(IPTABLES_BINARIES)) {
+            await $`sudo ${binary} -A ${IPTABLES_CHAIN} -p ${proto} --dport ${port} -m conntrack --ctstate NEW -m comment --comment ${ENFORCE_TAG} -j DROP`;
+        }
+    }
+
+    async release(port, proto) {
+        for (const binary of Object.values(IPTABLES_BINARIES)) {
+            await $`sudo ${binary} -D ${IPTABLES_CHAIN} -p ${proto} --dport ${port} -m conntrack --ctstate NEW -m comment --comment ${ENFORCE_TAG} -j DROP`.nothrow();
+        }
+    }
+
+    // Both tables get the same drops, so the IPv4 one is read
+    async listEnforced() {
+        if (!await this.chainExists(IPTABLES_BINARIES[4])) return [];
+        const result = await $`sudo ${IPTABLES_BINARIES[4]} -S ${IPTABLES_CHAIN}`.quiet();
+        const ports = [];
+        for (const line of result.stdout.toString().split('\n')) {
+            if (!line.includes(ENFORCE_TAG) || !line.includes('-j DROP')) continue;
+            const proto = line.match(/-p (\w+)/);
+            const port = line.match(/--dport (\d+)/);
+            if (proto && port) ports.push({ port: parseInt(port[1]), proto: proto[1] });
+        }
+        return ports;
+    }
+
+    async list() {
+        let output = '';
+        for (const binary of Object.values(IPTABLES_BINARIES)) {
+            if (!await this.chainExists(binary)) continue;
+            const result = await $`sudo ${binary} -S ${IPTABLES_CHAIN}`.quiet();
+            output += result.stdout.toString();
+        }
+        return output;
+    }
+
+    async listManaged() {
+        const rules = [];
+        for (const binary of Object.values(IPTABLES_BINARIES)) {
+            if (!await this.chainExists(binary)) continue;
+
+            const result = await $`sudo ${binary} -S ${IPTABLES_CHAIN}`.quiet();
+            for (const line of result.stdout.toString().split('\n')) {
+                if (!line.includes('-j ACCEPT')) continue;
+                if (!line.includes(`--comment ${RULE_TAG}`) && !line.includes(`--comment "${RULE_TAG}"`)) continue;
+                const source = line.match(/-s (\S+)/);
+                const proto = line.match(/-p (\w+)/);
+                const port = line.match(/--dport (\d+)/);
+                if (source && proto && port) {
+                    rules.push({ ip: source[1].replace(/\/(32|128)$/, ''), port: parseInt(port[1]), proto: proto[1] });
+                }
+            }
+        }
+        return rules;
+    }
+}
+
+// Keeps whitelisted sources in dedicated hash:ip ipsets, one per family,
+// protocol and port, each accepted by a rich rule for that port. A source
+// ipset only matches addresses, so the port has to live in the rule. Rich
+// rules cannot carry comments, so the ipset is what marks an entry as ours.
+// An enforced port gets a drop rich rule; priorities order it after the
+// accepts and before the zone's services.
+class FirewalldBackend extends FirewallBackend {
+    constructor({ zone = 'public', ...options } = {}) {
+        super('firewalld', options);
+        this.zone = zone;
+    }
+
+    async isActive() {
+        try {
+            const status = await $`sudo firewall-cmd --state`.quiet();
+            return status.stdout.toString().trim() === 'running';
+        } catch {
+            return false;
+        }
+    }
+
+    async ipsetNames() {
+        const ipsets = await $`sudo firewall-cmd --permanent --get-ipsets`.quiet();
+        return ipsets.stdout.toString().split(/\s+/).filter(Boolean);
+    }
+
+    ipsetFor(ip, port, proto) {
+        const family = ipFamily(ip);
+        return { name: `ip_whitelister_v${family}_${proto}_${port}`, family: FIREWALLD_FAMILIES[family] };
+    }
+
+    richRule(ipset, port, proto) {
+        return `rule priority="${FIREWALLD_PRIORITIES.accept}" family="${ipset.family.rule}" source ipset="${ipset.name}" port port="${port}" protocol="${proto}" accept`;
+    }
+
+    dropRule(port, proto) {
+        return `rule priority="${FIREWALLD_PRIORITIES.drop}" port port="${port}" protocol="${proto}" drop`;
+    }
+
+    async ensureReady() {
+        if (!await this.isActive()) {
+            await $`sudo systemctl enable --now firewalld`;
+        }
+
+        // Sources in the old sets are added back by the sync that follows,
+        // which this runs before
+        const names = await this.ipsetNames();
+        const legacy = LEGACY_FIREWALLD_IPSETS.filter(name => names.includes(name));
+        for (const name of legacy) {
+            await $`sudo firewall-cmd --permanent --zone=${this.zone} --remove-rich-rule=${`rule source ipset="${name}" accept`}`.nothrow();
+            await $`sudo firewall-cmd --permanent --delete-ipset=${name}`;
+        }
+
+        // Accept rules from before priorities would run after the drops
+        let outdated = 0;
+        for (const name of names) {
+            const match = name.match(FIREWALLD_IPSET);
+            if (!match) continue;
+            const ipset = { name, family: FIREWALLD_FAMILIES[match[1]] };
+            const unprioritized = `rule family="${ipset.family.rule}" source ipset="${name}" port port="${match[3]}" protocol="${match[2]}" accept`;
+            const query = await $`sudo firewall-cmd --permanent --zone=${this.zone} --query-rich-rule=${unprioritized}`.quiet().nothrow();
+            if (query.exitCode !== 0) continue;
+            await $`sudo firewall-cmd --permanent --zone=${this.zone} --remove-rich-rule=${unprioritized}`;
+            await $`sudo firewall-cmd --permanent --zone=${this.zone} --add-rich-rule=${this.richRule(ipset, match[3], match[2])}`;
+            outdated++;
+        }
+
+        if (legacy.length + outdated > 0) {
+            await $`sudo firewall-cmd --reload`;
+        }
+        await this.syncPorts();
+    }
+
+    // Ipsets can only be created permanently, so a new port costs a reload
+    async ensureIpset(ipset, port, proto) {
+        if ((await this.ipsetNames()).includes(ipset.name)) return;
+        await $`sudo firewall-cmd --permanent --new-ipset=${ipset.name} --type=hash:ip --option=family=${ipset.family.ipset}`;
+        await $`sudo firewall-cmd --permanent --zone=${this.zone} --add-rich-rule=${this.richRule(ipset, port, proto)}`;
+        await $`sudo firewall-cmd --reload`;
+    }
+
+    async allow(ip, port, proto) {
+        const ipset = this.ipsetFor(ip, port, proto);
+        await this.ensureIpset(ipset, port, proto);
+        await $`sudo firewall-cmd --ipset=${ipset.name} --add-entry=${ip}`;
+        await $`sudo firewall-cmd --permanent --ipset=${ipset.name} --add-entry=${ip}`;
+    }
+
+    async revoke(ip, port, proto) {
+        const ipset = this.ipsetFor(ip, port, proto);
+        await $`sudo firewall-cmd --ipset=${ipset.name} --remove-entry=${ip}`;
+        await $`sudo firewall-cmd --permanent --ipset=${ipset.name} --remove-entry=${ip}`;
+    }
+
+    // Added at runtime too, so no reload is needed
+    async enforce(port, proto) {
+        await $`sudo firewall-cmd --zone=${this.zone} --add-rich-rule=${this.dropRule(port, proto)}`;
+        await $`sudo firewall-cmd --permanent --zone=${this.zone} --add-rich-rule=${this.dropRule(port, proto)}`;
+    }
+
+    async release(port, proto) {
+        await $`sudo firewall-cmd --zone=${this.zone} --remove-rich-rule=${this.dropRule(port, proto)}`;
+        await $`sudo firewall-cmd --permanent --zone=${this.zone} --remove-rich-rule=${this.dropRule(port, proto)}`;
+    }
+
+    async listEnforced() {
+        const result = await $`sudo firewall-cmd --permanent --zone=${this.zone} --list-rich-rules`.quiet();
+        const pattern = new RegExp(`^rule priority="${FIREWALLD_PRIORITIES.drop}" port port="(\\d+)" protocol="(tcp|udp)" drop$`);
+        return result.stdout.toString().split('\n')
+            .map(line => line.trim().match(pattern))
+            .filter(Boolean)
+            .map(([, port, proto]) => ({ port: parseInt(port), proto }));
+    }
+
+    async list() {
+        const rules = await $`sudo firewall-cmd --zone=${this.zone} --list-rich-rules`.quiet();
+        let output = rules.stdout.toString();
+        for (const name of (await this.ipsetNames()).filter(name => FIREWALLD_IPSET.test(name))) {
+            const entries = await $`sudo firewall-cmd --ipset=${name} --get-entries`.quiet();
+            output += `\n${name}:\n${entries.stdout.toString()}`;
+        }
+        return output;
+    }
+
+    async listManaged() {
+        const rules = [];
+        for (const name of await this.ipsetNames()) {
+            const match = name.match(FIREWALLD_IPSET);
+            if (!match) continue;
+
+            const result = await $`sudo firewall-cmd --ipset=${name} --get-entries`.quiet();
+            for (const ip of result.stdout.toString().split('\n').map(line => line.trim()).filter(Boolean)) {
+                rules.push({ ip, port: parseInt(match[3]), proto: match[2] });
+            }
+        }
+        return rules;
+    }
+}
+
+export function createFirewallBackend(type = 'ufw', options = {}) {
+    switch (type) {
+        case 'ufw':
+            return new UFWBackend(options);
+        case 'nftables':
+            return new NftablesBackend(options);
+        case 'iptables':
+            return new IptablesBackend(options);
+        case 'firewalld':
+            return new FirewalldBackend(options);
+        default:
+            throw new Error(`Unknown firewall backend: ${type}`);
+    }
+}
+
+// Returns the backend types whose tooling is installed on this machine
+export async function detectFirewallBackends() {
+    const available = [];
+    for (const type of Object.keys(FIREWALL_BACKENDS)) {
+        if (await createFirewallBackend(type).isInstalled()) {
+            available.push(type);
+        }
+    }
+    return available;
+}
@@ -0,0 +1,1177 @@
+#!/usr/bin/env bun
+// index.js
+// Headless command surface for cron, systemd and configuration management.
+// Running it without a command starts the interactive TUI.
+import chalk from 'chalk';
+import { existsSync } from 'fs';
+import os from 'os';
+import { AUDIT_FILE, auditAddresses, formatAuditRecord, parseSince, readAudit, recordAudit } from './audit.js';
+import { CONFIG_FILE, loadConfig, saveConfig } from './config.js';
+import { CONTROL_SOCKET, queryControl, startControlServer, updateStatus } from './control.js';
+import { FIREWALL_BACKENDS, createFirewallBackend } from './firewall.js';
+import { PROVIDER_NAMES, discoveryOptions } from './ipdiscovery.js';
+import { encryptionKeyId, generateEncryptionKey, parseEncryptionKey } from './encryption.js';
+import { FirewallManager, publishIp, planServerSync, applyServerSync, saveSyncState, printPlan } from './ip.js';
+import { DEFAULT_KNOCK_PORT, MIN_SECRET_LENGTH, startKnockListener } from './knock.js';
+import { DEFAULT_MAX_SHRINK, LAST_GOOD_FILE, loadLastGood } from './lastgood.js';
+import { recordPublish, recordSync, startMetricsServer } from './metrics.js';
+import { DEFAULT_DEBOUNCE, watchNetwork } from './netwatch.js';
+import { DEFAULT_RATE_LIMIT, NOTIFY_EVENTS, RATE_LIMITED_EVENTS, WEBHOOK_FORMATS, notify } from './notify.js';
+import { DEFAULT_CONFIRM_TIMEOUT, confirmPendingSync, detectSessionAddresses, restoreRules, waitForConfirmation } from './safemode.js';
+import { Scheduler } from './scheduler.js';
+import { getServiceStatus, installService, uninstallService } from './service.js';
+import { DEFAULT_SNAPSHOT_RETENTION, SNAPSHOT_DIR, listSnapshots, loadSnapshot, pruneSnapshots, takeSnapshot } from './snapshots.js';
+import { DEFAULT_KEY_FILE, formatPublicKey, loadSigningKey, parsePublicKey, signEntry, verifyEntry } from './signing.js';
+import { DEFAULT_POLL_INTERVAL, STORE_TYPES, createWhitelistStore, pollWhitelist } from './store.js';
+import { DRIFT_EXIT_CODE, formatRule, hasDrift, summarizePlan } from './sync.js';
+import { createEntry, entryExpiresAt, formatEntry, formatPortSpec, ipFamily, parsePortSpec } from './whitelist.js';
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    DRIFT: DRIFT_EXIT_CODE,
+    USAGE: 64
+};
+
+const USAGE = `Usage: ssh-ip-manager <command> [options]
+
+Commands:
+  connector push                 Publish this machine's IP under its identifier
+  server sync [--confirm [<seconds>]] [--accept-shrink]
+                                 Reconcile firewall rules with the whitelist; with
+                                 --confirm, revert unless confirmed in time
+  server confirm                 Keep the changes of a sync waiting for confirmation
+  snapshots list                 Show the saved firewall snapshots, newest first
+  snapshots restore <id|latest>  Bring the managed rules back to a snapshot
+  snapshots prune [--keep <n>]   Delete all but the newest snapshots
+  server plan [--accept-shrink]  Show what a sync would change (exit ${EXIT_CODES.DRIFT} on drift)
+  whitelist list [--json]        Show every whitelisted identifier
+  whitelist add <id> <ip> [ip] [--ttl <seconds>] [--owner <name>] [--tags <a,b>] [--ports <specs>]
+               [--groups <a,b>] [--servers <a,b>]
+                                 Whitelist an IPv4 and/or IPv6 address
+  whitelist remove <id>          Remove an identifier from the whitelist
+  policy list                    Show which ports each selector may reach
+  policy set <selector> <specs>  Allow ports, e.g. \`policy set tag:db 22,5432/tcp\`
+  policy remove <selector>       Drop a port policy
+  keys show                      Print this connector's signing public key
+  keys list                      List the keys this server trusts
+  keys trust <public key>        Trust entries signed by an ssh-ed25519 key
+  keys untrust <key|comment>     Stop trusting a key
+  rotate-key [--key <key>] [--disable]
+                                 Re-encrypt the whitelist with a new (or given) key
+  notify list                    Show notification settings and webhooks
+  notify add <url> [--format <${WEBHOOK_FORMATS.join('|')}>] [--events <a,b>]
+                                 Send notifications to a webhook
+  notify remove <number|url>     Stop sending to a webhook
+  notify test [--event <name>]   Send a test notification to every destination
+  audit show [--since <time>] [--identifier <id>] [--event <name>] [--json]
+                                 Query the audit log; --since takes a date or 30m, 12h, 7d
+  status                         Show configuration, sync state and the running node
+  node status                    Print the running node's status as JSON
+  node refresh                   Make the running node update now
+  config show                    Print the saved configuration
+  config set <key> <value>       Change a saved configuration value
+  install-service [--no-timer] [--every <minutes>]
+                                 Run this node's sync from systemd
+  uninstall-service              Remove the systemd units
+  service status                 Show whether the systemd units are active
+  tui                            Start the interactive interface
+
+  connector push and server sync repeat every <seconds> with --interval <seconds>.
+  After failures the wait doubles (with jitter, up to an hour) and honours GitHub
+  and HTTP store rate limits; the first success returns to <seconds>.
+  server sync --interval also checks the whitelist revision every --poll <seconds>
+  (default ${DEFAULT_POLL_INTERVAL}, or \`config set pollInterval <seconds>\`) and syncs early when it
+  changed. Unchanged gist and HTTP whitelists answer these checks with a cheap 304.
+  connector push --interval also publishes right after network changes and resume
+  from suspend (\`config set networkWatch false\` to disable, networkDebounce <seconds>,
+  default ${DEFAULT_DEBOUNCE}). Without \`ip\` only resume detection and the interval remain.
+
+Options (flag / environment variable, both override the saved config):
+  --token       GITHUB_TOKEN           GitHub token with gist scope (gist store)
+  --gist-id     WHITELIST_GIST_ID      Gist holding the whitelist (gist store)
+  --identifier  WHITELIST_IDENTIFIER   Name this connector publishes under, or this
+                                       server's name (defaults to the hostname)
+  --port        WHITELIST_PORT         SSH port managed on server nodes
+  --firewall    WHITELIST_FIREWALL     ${Object.keys(FIREWALL_BACKENDS).join(', ')}
+  --encryption-key WHITELIST_ENCRYPTION_KEY
+                                       Key the whitelist is encrypted with
+
+The whitelist store is chosen with \`config set store.type <${Object.keys(STORE_TYPES).join('|')}>\`
+plus store.path (file), store.url and store.token (http), or store.endpoint,
+store.bucket, store.key and store.region (s3, credentials from S3_* / AWS_* env).
+
+With \`config set encryptionKey <key>\` the whitelist is encrypted (AES-256-GCM) before
+it is stored. Every node needs the same key; \`rotate-key\` prints a new one.
+
+Connectors sign their entries with ${DEFAULT_KEY_FILE} (created on first use),
+or with an unencrypted OpenSSH Ed25519 key set via \`config set signingKey <path>\`.
+Servers with trusted keys ignore entries that are unsigned or signed by other keys.
+
+Port policies apply on server nodes. A selector is an identifier, tag:<name> or *,
+and specs are "port/proto" pairs (tcp or udp, a bare port means tcp). An entry may
+reach its own --ports plus every matching policy; entries nothing matches only
+reach the SSH port (--port).
+
+Every firewall backend closes a port to new connections from anyone but its
+whitelisted sources once at least one entry may reach it. A port no entry reaches
+is left to the rest of the firewall, so an empty whitelist never locks out SSH.
+
+Entries with --groups or --servers are only applied by server nodes whose name or
+\`config set group <name>\` matches; entries without either apply everywhere.
+Connectors can scope their own entry with \`config set entryGroups <a,b>\` and entryServers;
+an empty value clears the scope, and without either the stored scope is kept.
+
+Connectors refresh their entry's heartbeat on every push; \`config set entryTtl <seconds>\`
+publishes a TTL with it. Servers drop entries whose TTL has run out, and entries
+without a TTL once \`config set maxEntryAge <seconds>\` has passed since their heartbeat.
+
+Server nodes never remove the SSH port rule of an address with an active SSH
+session. \`server sync --confirm\` restores the previous rules unless Enter is pressed
+or \`server confirm\` runs (ideally from a new SSH session) within ${DEFAULT_CONFIRM_TIMEOUT} seconds.
+
+Servers keep the whitelist of their last successful sync in ${LAST_GOOD_FILE}
+and enforce it while the store is unreachable. Invalid whitelists are never applied,
+and one that lost more than ${DEFAULT_MAX_SHRINK}% of its identifiers (\`config set maxShrink <percent>\`)
+only with \`server sync --accept-shrink\`.
+
+Before every sync, the managed rules are saved to ${SNAPSHOT_DIR}.
+The newest ${DEFAULT_SNAPSHOT_RETENTION} are kept (\`config set snapshotRetention <n>\`).
+
+Notifications go to syslog/journald (\`config set notifications.syslog true\`) and
+webhooks. Events: ${Object.keys(NOTIFY_EVENTS).join(', ')}.
+Limit them with \`config set notifications.events <a,b>\` or --events per webhook. The same
+failure (${RATE_LIMITED_EVENTS.join(', ')}) is sent at most every ${DEFAULT_RATE_LIMIT}s
+(\`config set notifications.rateLimit <seconds>\`).
+
+With \`config set metrics.port <port>\` (and optionally metrics.host, default 127.0.0.1),
+long-running nodes (the TUI and --interval) serve Prometheus metrics on /metrics.
+
+Servers react to connectors within seconds with a knock listener: give every node the
+same \`config set knock.secret <secret>\` (${MIN_SECRET_LENGTH}+ characters), set knock.port (e.g. ${DEFAULT_KNOCK_PORT},
+optionally knock.host) on servers and knock.targets <http://server:${DEFAULT_KNOCK_PORT}/knock,...> on
+connectors. A connector knocks after publishing a new address; the server syncs at once.
+Its new address is not whitelisted yet, so knock.port must be open in the firewall.
+
+A running node (the TUI or --interval) answers GET /status, GET /whitelist and
+POST /refresh on the Unix socket ${CONTROL_SOCKET}.
+
+Every published entry, whitelist edit, firewall rule change and failed run is
+appended to the audit log at ${AUDIT_FILE}, which rotates at 5 MB.
+
+Exit codes: 0 success, 1 failure, ${EXIT_CODES.DRIFT} drift detected, ${EXIT_CODES.USAGE} usage error`;
+
+// Where each option can come from, in order of precedence: flag, environment, saved config
+const OPTION_SOURCES = {
+    token: { flag: 'token', env: 'GITHUB_TOKEN', config: 'githubToken' },
+    gistId: { flag: 'gist-id', env: 'WHITELIST_GIST_ID', config: 'gistId' },
+    identifier: { flag: 'identifier', env: 'WHITELIST_IDENTIFIER', config: 'identifier' },
+    port: { flag: 'port', env: 'WHITELIST_PORT', config: 'sshPort' },
+    firewall: { flag: 'firewall', env: 'WHITELIST_FIREWALL', config: 'firewall' },
+    encryptionKey: { flag: 'encryption-key', env: 'WHITELIST_ENCRYPTION_KEY', config: 'encryptionKey' }
+};
+
+// Saved config keys that `config set` may change, with their validators
+const CONFIG_KEYS = {
+    nodeType: value => ['connector', 'server'].includes(value) ? value : null,
+    githubToken: value => value,
+    gistId: value => value,
+    identifier: value => value,
+    sshPort: value => {
+        const port = parseInt(value);
+        return port > 0 && port < 65536 ? port : null;
+    },
+    firewall: value => value in FIREWALL_BACKENDS ? value : null,
+    ipProviders: value => {
+        const providers = value.split(',').map(name => name.trim()).filter(Boolean);
+        return providers.length > 0 && providers.every(name => PROVIDER_NAMES.includes(name)) ? providers : null;
+    },
+    ipConsensus: value => parseInt(value) > 0 ? parseInt(value) : null,
+    ipTimeout: value => parseInt(value) > 0 ? parseInt(value) : null,
+    signingKey: value => value,
+    encryptionKey: value => {
+        try {
+            parseEncryptionKey(value);
+            return value;
+        } catch {
+            return null;
+        }
+    },
+    entryTtl: value => parseInt(value) > 0 ? parseInt(value) : null,
+    maxEntryAge: value => parseInt(value) > 0 ? parseInt(value) : null,
+    snapshotRetention: value => parseInt(value) > 0 ? parseInt(value) : null,
+    maxShrink: value => parseInt(value) >= 0 && parseInt(value) <= 100 ? parseInt(value) : null,
+    group: value => value,
+    entryGroups: value => value.split(',').map(name => name.trim()).filter(Boolean),
+    entryServers: value => value.split(',').map(name => name.trim()).filter(Boolean),
+    'notifications.syslog': value => ['true', 'false'].includes(value) ? value === 'true' : null,
+    'notifications.events': value => {
+        const events = value.split(',').map(event => event.trim()).filter(Boolean);
+        return events.every(event => event in NOTIFY_EVENTS) ? events : null;
+    },
+    'notifications.rateLimit': value => parseInt(value) >= 0 ? parseInt(value) : null,
+    'metrics.port': value => {
+        const port = parseInt(value);
+        return port > 0 && port < 65536 ? port : null;
+    },
+    'metrics.host': value => value,
+    pollInterval: value => parseInt(value) > 0 ? parseInt(value) : null,
+    networkWatch: value => ['true', 'false'].includes(value) ? value === 'true' : null,
+    networkDebounce: value => parseInt(value) >= 0 ? parseInt(value) : null,
+    'knock.secret': value => value.length >= MIN_SECRET_LENGTH ? value : null,
+    'knock.port': value => {
+        const port = parseInt(value);
+        return port > 0 && port < 65536 ? port : null;
+    },
+    'knock.host': value => value,
+    'knock.targets': value => {
+        const targets = value.split(',').map(target => target.trim()).filter(Boolean);
+        return targets.every(target => URL.canParse(target)) ? targets : null;
+    },
+    'store.type': value => value in STORE_TYPES ? value : null,
+    'store.path': value => value,
+    'store.url': value => value,
+    'store.token': value => value,
+    'store.endpoint': value => value,
+    'store.bucket': value => value,
+    'store.key': value => value,
+    'store.region': value => value
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const positional = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (inlineValue !== undefined) {
+            flags[name] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            flags[name] = argv[++i];
+        } else {
+            flags[name] = true;
+        }
+    }
+
+    return { positional, flags };
+}
+
+function resolveOptions(flags, config) {
+    const options = {};
+    for (const [key, source] of Object.entries(OPTION_SOURCES)) {
+        options[key] = flags[source.flag] ?? process.env[source.env] ?? config?.[source.config] ?? null;
+    }
+    const port = parseInt(options.port || '22');
+    if (!(port > 0 && port < 65536)) {
+        throw new UsageError(`Invalid port: ${options.port}`);
+    }
+    options.port = port;
+    options.firewall = options.firewall || 'ufw';
+    return options;
+}
+
+// Token and gist ID flags only apply to the gist store. With `forSync`, a
+// store that cannot be reached is no error while a last-known-good whitelist
+// exists; the sync falls back to it when reading.
+async function getStore(options, config, { forSync = false } = {}) {
+    const storeType = config?.store?.type || 'gist';
+    const fallback = forSync && existsSync(LAST_GOOD_FILE);
+    if (storeType === 'gist' && !options.token && !fallback) {
+        throw new UsageError('A GitHub token is required (--token or GITHUB_TOKEN)');
+    }
+
+    const store = createWhitelistStore({
+        ...config,
+        githubToken: options.token,
+        gistId: options.gistId,
+        encryptionKey: options.encryptionKey
+    });
+    if (!fallback && !await store.validate()) {
+        throw new Error(storeType === 'gist' ? 'Invalid GitHub token!' : `Cannot access ${store.describe()}`);
+    }
+    return store;
+}
+
+function getFirewallManager(options) {
+    if (!(options.firewall in FIREWALL_BACKENDS)) {
+        throw new UsageError(`Unknown firewall backend: ${options.firewall}`);
+    }
+    return new FirewallManager(createFirewallBackend(options.firewall, { port: options.port }));
+}
+
+// Which whitelist entries a server acts on, and how
+function syncPolicy(config, options, flags = {}) {
+    return {
+        trustedKeys: config?.trustedKeys,
+        maxEntryAge: config?.maxEntryAge,
+        policies: config?.policies,
+        server: { name: options.identifier || os.hostname(), group: config?.group || null },
+        maxShrink: config?.maxShrink,
+        acceptShrink: Boolean(flags['accept-shrink'])
+    };
+}
+
+function snapshotOptions(config, options, reason) {
+    return { firewall: options.firewall, port: options.port, reason, retention: config?.snapshotRetention };
+}
+
+async function readWhitelist(store) {
+    const whitelist = await store.read();
+    if (!whitelist) {
+        throw new Error(`No whitelist found in ${store.describe()}!`);
+    }
+    return whitelist;
+}
+
+async function touchLastRun(config) {
+    if (config) {
+        config.lastRun = new Date().toISOString();
+        await saveConfig(config);
+    }
+}
+
+// Command handlers return an exit code
+async function connectorPush(args, options, config) {
+    if (!options.identifier) {
+        throw new UsageError('An identifier is required (--identifier or WHITELIST_IDENTIFIER)');
+    }
+
+    const store = await getStore(options, config);
+    await publishIp(store, options.identifier, {
+        discovery: discoveryOptions(config),
+        keyPath: config?.signingKey,
+        ttl: config?.entryTtl,
+        groups: config?.entryGroups,
+        servers: config?.entryServers,
+        notifications: config?.notifications,
+        knock: config?.knock
+    });
+    await touchLastRun(config);
+    return EXIT_CODES.OK;
+}
+
+async function serverSync(args, options, config, flags) {
+    const confirmTimeout = flags.confirm === true ? DEFAULT_CONFIRM_TIMEOUT : parseInt(flags.confirm || '0');
+    if (flags.confirm !== undefined && !(confirmTimeout > 0)) {
+        throw new UsageError(`Invalid confirmation timeout: ${flags.confirm}`);
+    }
+
+    const startedAt = performance.now();
+    const store = await getStore(options, config, { forSync: true });
+    const firewallManager = getFirewallManager(options);
+
+    // Readied before planning: a backend that rebuilds its layout must be planned against the result
+    await firewallManager.backend.ensureReady();
+    const sync = await planServerSync(store, firewallManager, options.port, syncPolicy(config, options, flags));
+    // Every sync snapshots the rules first, unless the latest snapshot already holds
+    // them, so the state before any sync can be restored
+    const snapshot = await takeSnapshot(firewallManager, snapshotOptions(config, options, 'sync'));
+    const errors = await applyServerSync(firewallManager, sync);
+
+    console.log(chalk.bold(`\nSync: ${summarizePlan(sync.plan)}`));
+    // Nothing to confirm when the sync changed nothing
+    if (confirmTimeout && hasDrift(sync.plan)) {
+        console.log(chalk.yellow(`\nKeep these changes? Press Enter, or run \`server confirm\` from a new SSH session, within ${confirmTimeout}s`));
+        if (!await waitForConfirmation(confirmTimeout)) {
+            console.error(chalk.red('Not confirmed in time, restoring the previous rules'));
+            const restore = await restoreRules(firewallManager, snapshot.rules, { reason: 'revert' });
+            console.log(chalk.bold(`Restore: ${summarizePlan(restore.plan)}`));
+            if (restore.errors.length > 0) {
+                console.error(chalk.red(`${restore.errors.length} rule change(s) failed while restoring`));
+            }
+            recordSync({ success: false, duration: (performance.now() - startedAt) / 1000 });
+            await notify(config?.notifications, 'sync-reverted', `Sync was not confirmed within ${confirmTimeout}s and was reverted (${summarizePlan(restore.plan)})`);
+            return EXIT_CODES.ERROR;
+        }
+        console.log(chalk.green('Changes confirmed'));
+    }
+
+    // Only a sync that is kept becomes the new state and last-known-good whitelist
+    await saveSyncState(sync, errors);
+    if (errors.length > 0) {
+        throw new Error(`${errors.length} rule change(s) failed: ${errors[0].message}`);
+    }
+    recordSync({ success: true, duration: (performance.now() - startedAt) / 1000 });
+    if (hasDrift(sync.plan)) {
+        await notify(config?.notifications, 'rules-changed', `Sync applied: ${summarizePlan(sync.plan)}`, {
+            details: { added: sync.plan.add.length, removed: sync.plan.remove.length, revision: sync.revision }
+        });
+    }
+
+    await touchLastRun(config);
+    return EXIT_CODES.OK;
+}
+
+async function serverConfirm(args, options, config) {
+    if (!await confirmPendingSync()) {
+        throw new Error('No sync is waiting for confirmation');
+    }
+    console.log(chalk.green('Confirmed, the pending sync keeps its changes'));
+    return EXIT_CODES.OK;
+}
+
+async function snapshotsList(args, options, config) {
+    const snapshots = await listSnapshots();
+    if (snapshots.length === 0) {
+        console.log(chalk.gray('No snapshots yet'));
+    }
+    for (const snapshot of snapshots) {
+        console.log(`${chalk.bold(snapshot.id)}  ${new Date(snapshot.createdAt).toLocaleString()}  ${snapshot.firewall}, ${snapshot.ruleCount} rule(s)  ${chalk.gray(snapshot.reason)}`);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function snapshotsRestore(args, options, config) {
+    const [reference] = args;
+    if (!reference) {
+        throw new UsageError('Usage: snapshots restore <id|latest>');
+    }
+
+    const snapshot = await loadSnapshot(reference);
+    if (snapshot.firewall !== options.firewall) {
+        throw new Error(`Snapshot ${snapshot.id} holds ${snapshot.firewall} rules, but the firewall is ${options.firewall}`);
+    }
+
+    const firewallManager = getFirewallManager(options);
+    await firewallManager.backend.ensureReady();
+    // The current rules are saved first, so a restore can be undone as well
+    await takeSnapshot(firewallManager, snapshotOptions(config, options, `before restoring ${snapshot.id}`));
+    const { plan, errors } = await restoreRules(firewallManager, snapshot.rules, {
+        sessionAddresses: await detectSessionAddresses(options.port),
+        sshPort: options.port,
+        reason: `restore ${snapshot.id}`
+    });
+
+    plan.held.forEach(rule => console.log(chalk.magenta(`Kept rule for an active SSH session (${formatRule(rule)})`)));
+    console.log(chalk.bold(`\nRestore ${snapshot.id}: ${summarizePlan(plan)}`));
+    if (errors.length > 0) {
+        console.error(chalk.red(`${errors.length} rule change(s) failed`));
+        return EXIT_CODES.ERROR;
+    }
+    return EXIT_CODES.OK;
+}
+
+async function snapshotsPrune(args, options, config, flags) {
+    const keep = parseInt(flags.keep ?? config?.snapshotRetention ?? DEFAULT_SNAPSHOT_RETENTION);
+    if (!(keep >= 0)) {
+        throw new UsageError(`Invalid snapshot count: ${flags.keep}`);
+    }
+    console.log(`Deleted ${await pruneSnapshots(keep)} snapshot(s)`);
+    return EXIT_CODES.OK;
+}
+
+async function serverPlan(args, options, config, flags) {
+    const store = await getStore(options, config, { forSync: true });
+    const firewallManager = getFirewallManager(options);
+
+    const sync = await planServerSync(store, firewallManager, options.port, syncPolicy(config, options, flags));
+    printPlan(sync);
+    return hasDrift(sync.plan) ? EXIT_CODES.DRIFT : EXIT_CODES.OK;
+}
+
+async function whitelistList(args, options, config, flags) {
+    const whitelist = await readWhitelist(await getStore(options, config));
+
+    if (flags.json) {
+        console.log(JSON.stringify(whitelist, null, 2));
+        return EXIT_CODES.OK;
+    }
+
+    const entries = Object.entries(whitelist);
+    if (entries.length === 0) {
+        console.log(chalk.gray('Whitelist is empty'));
+    }
+    const trustedKeys = (config?.trustedKeys || []).map(parsePublicKey);
+    for (const [identifier, entry] of entries) {
+        const rejection = trustedKeys.length > 0 ? verifyEntry(identifier, entry, trustedKeys) : null;
+        const expiresAt = entryExpiresAt(entry, config?.maxEntryAge);
+        const notes = [
+            entry.owner ? `owner ${entry.owner}` : null,
+            entry.tags?.length ? `tags ${entry.tags.join(',')}` : null,
+            entry.ports?.length ? `ports ${entry.ports.join(',')}` : null,
+            entry.groups?.length ? `groups ${entry.groups.join(',')}` : null,
+            entry.servers?.length ? `servers ${entry.servers.join(',')}` : null,
+            entry.updatedAt ? chalk.gray(`updated ${new Date(entry.updatedAt).toLocaleString()}`) : null,
+            expiresAt && expiresAt <= new Date() ? chalk.yellow('expired') : null,
+            rejection ? chalk.red(rejection) : null
+        ].filter(Boolean);
+        console.log(`${chalk.bold(identifier)}: ${chalk.green(formatEntry(entry))}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function whitelistAdd(args, options, config, flags) {
+    const [identifier, ...ips] = args;
+    if (!identifier || ips.length === 0) {
+        throw new UsageError('Usage: whitelist add <identifier> <ip> [ip] [--ttl <seconds>] [--owner <name>] [--tags <a,b>] [--ports <specs>] [--groups <a,b>] [--servers <a,b>]');
+    }
+    const ttl = flags.ttl === undefined ? null : parseInt(flags.ttl);
+    if (ttl !== null && !(ttl > 0)) {
+        throw new UsageError(`Invalid TTL: ${flags.ttl}`);
+    }
+
+    const entry = { ipv4: null, ipv6: null };
+    for (const ip of ips) {
+        const family = ipFamily(ip);
+        if (!family) {
+            throw new UsageError(`Not a valid IP address: ${ip}`);
+        }
+        entry[`ipv${family}`] = ip;
+    }
+    if (typeof flags.owner === 'string') {
+        entry.owner = flags.owner;
+    }
+    for (const field of ['tags', 'groups', 'servers']) {
+        if (typeof flags[field] === 'string') {
+            entry[field] = flags[field].split(',').map(value => value.trim()).filter(Boolean);
+        }
+    }
+    if (flags.ports !== undefined) {
+        entry.ports = parsePortSpecs(flags.ports).map(formatPortSpec);
+    }
+
+    const store = await getStore(options, config);
+    // Entries added by hand only expire when given a TTL
+    const stamped = ttl ? createEntry(entry, ttl) : entry;
+    const signed = signEntry(identifier, stamped, await loadSigningKey(config?.signingKey));
+    const previous = await store.setEntry(identifier, signed);
+    await recordAudit('whitelist-set', { identifier, from: auditAddresses(previous), to: auditAddresses(signed), revision: store.revision });
+
+    console.log(chalk.green(`Whitelisted ${identifier} (${formatEntry(entry)})`));
+    return EXIT_CODES.OK;
+}
+
+async function whitelistRemove(args, options, config) {
+    const [identifier] = args;
+    if (!identifier) {
+        throw new UsageError('Usage: whitelist remove <identifier>');
+    }
+
+    const store = await getStore(options, config);
+    const previous = await store.removeEntry(identifier);
+    await recordAudit('whitelist-remove', { identifier, from: auditAddresses(previous), to: null, revision: store.revision });
+
+    console.log(chalk.yellow(`Removed ${identifier} from the whitelist`));
+    return EXIT_CODES.OK;
+}
+
+// Parses a comma separated list such as "22,5432/tcp,51820/udp"
+function parsePortSpecs(value) {
+    const specs = String(value).split(',').map(spec => spec.trim()).filter(Boolean);
+    const parsed = specs.map(parsePortSpec);
+    if (specs.length === 0 || parsed.includes(null)) {
+        throw new UsageError(`Invalid port list: ${value} (expected e.g. 22,5432/tcp,51820/udp)`);
+    }
+    return parsed;
+}
+
+async function policyList(args, options, config) {
+    const policies = Object.entries(config?.policies || {});
+    if (policies.length === 0) {
+        console.log(chalk.gray(`No port policies: every entry reaches port ${options.port}/tcp`));
+    }
+    for (const [selector, specs] of policies) {
+        console.log(`${chalk.bold(selector)}: ${specs.join(', ')}`);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function policySet(args, options, config) {
+    const [selector, value] = args;
+    if (!selector || value === undefined) {
+        throw new UsageError('Usage: policy set <identifier|tag:<name>|*> <port[/proto],...>');
+    }
+
+    const specs = parsePortSpecs(value).map(formatPortSpec);
+    await saveConfig({ ...(config || {}), policies: { ...(config?.policies || {}), [selector]: specs } });
+    console.log(chalk.green(`${selector} may reach ${specs.join(', ')}`));
+    return EXIT_CODES.OK;
+}
+
+async function policyRemove(args, options, config) {
+    const [selector] = args;
+    if (!selector) {
+        throw new UsageError('Usage: policy remove <selector>');
+    }
+    if (!(selector in (config?.policies || {}))) {
+        throw new Error(`No policy for ${selector}`);
+    }
+
+    const { [selector]: removed, ...policies } = config.policies;
+    await saveConfig({ ...config, policies });
+    console.log(chalk.yellow(`Removed the policy for ${selector}`));
+    return EXIT_CODES.OK;
+}
+
+async function keysShow(args, options, config) {
+    const key = await loadSigningKey(config?.signingKey);
+    console.log(formatPublicKey(key, options.identifier || ''));
+    return EXIT_CODES.OK;
+}
+
+async function keysList(args, options, config) {
+    const trustedKeys = config?.trustedKeys || [];
+    if (trustedKeys.length === 0) {
+        console.log(chalk.yellow('No trusted keys: entry signatures are not verified'));
+    }
+    trustedKeys.forEach(line => console.log(line));
+    return EXIT_CODES.OK;
+}
+
+async function keysTrust(args, options, config) {
+    const line = args.join(' ');
+    if (!line) {
+        throw new UsageError('Usage: keys trust <ssh-ed25519 public key>');
+    }
+    try {
+        parsePublicKey(line);
+    } catch (error) {
+        throw new UsageError(`Invalid public key: ${error.message}`);
+    }
+
+    const trustedKeys = config?.trustedKeys || [];
+    const [, blob] = line.split(/\s+/);
+    if (trustedKeys.some(existing => existing.split(/\s+/)[1] === blob)) {
+        console.log(chalk.gray('Key is already trusted'));
+        return EXIT_CODES.OK;
+    }
+
+    await saveConfig({ ...(config || {}), trustedKeys: [...trustedKeys, line.trim()] });
+    console.log(chalk.green('Key trusted'));
+    return EXIT_CODES.OK;
+}
+
+async function keysUntrust(args, options, config) {
+    const match = args.join(' ');
+    if (!match) {
+        throw new UsageError('Usage: keys untrust <public key|comment>');
+    }
+
+    // Matches the key data itself or the comment after it
+    const trustedKeys = config?.trustedKeys || [];
+    const remaining = trustedKeys.filter(line => {
+        const [, blob, ...comment] = line.split(/\s+/);
+        return !match.includes(blob) && comment.join(' ') !== match;
+    });
+    if (remaining.length === trustedKeys.length) {
+        throw new Error('No trusted key matches');
+    }
+
+    await saveConfig({ ...config, trustedKeys: remaining });
+    console.log(chalk.yellow(`Removed ${trustedKeys.length - remaining.length} trusted key(s)`));
+    return EXIT_CODES.OK;
+}
+
+async function rotateKey(args, options, config, flags) {
+    const newKey = flags.disable ? null : typeof flags.key === 'string' ? flags.key : generateEncryptionKey();
+    if (newKey) {
+        try {
+            parseEncryptionKey(newKey);
+        } catch (error) {
+            throw new UsageError(`Invalid encryption key: ${error.message}`);
+        }
+    }
+
+    const store = await getStore(options, config);
+    await store.rotateKey(newKey);
+    await recordAudit('rotate-key', { keyId: newKey ? encryptionKeyId(newKey) : null, revision: store.revision });
+
+    const updated = { ...(config || {}), encryptionKey: newKey };
+    if (!newKey) delete updated.encryptionKey;
+    await saveConfig(updated);
+
+    if (!newKey) {
+        console.log(chalk.yellow(`Whitelist in ${store.describe()} is no longer encrypted`));
+    } else {
+        console.log(chalk.green(`Whitelist re-encrypted with key ID ${encryptionKeyId(newKey)}`));
+        console.log(`\n  ${newKey}\n`);
+        console.log('Give every other node this key: `config set encryptionKey <key>`');
+    }
+    if (process.env.WHITELIST_ENCRYPTION_KEY) {
+        console.log(chalk.yellow('WHITELIST_ENCRYPTION_KEY is set and still overrides the saved key'));
+    }
+    return EXIT_CODES.OK;
+}
+
+// Webhook URLs usually embed their secret, so only the host is shown
+function maskWebhookUrl(url) {
+    try {
+        return `${new URL(url).origin}/…`;
+    } catch {
+        return 'invalid URL';
+    }
+}
+
+function guessWebhookFormat(url) {
+    if (url.includes('hooks.slack.com')) return 'slack';
+    if (/discord(app)?\.com\/api\/webhooks/.test(url)) return 'discord';
+    return 'json';
+}
+
+async function notifyList(args, options, config) {
+    const settings = config?.notifications || {};
+    console.log(`Syslog:     ${settings.syslog ? 'on' : 'off'}`);
+    console.log(`Events:     ${settings.events?.length ? settings.events.join(', ') : 'all'}`);
+    console.log(`Rate limit: ${settings.rateLimit ?? DEFAULT_RATE_LIMIT}s per failure event (${RATE_LIMITED_EVENTS.join(', ')})`);
+    const webhooks = settings.webhooks || [];
+    if (webhooks.length === 0) {
+        console.log(chalk.gray('No webhooks'));
+    }
+    webhooks.forEach((webhook, index) =>
+        console.log(`${index + 1}. ${maskWebhookUrl(webhook.url)} (${webhook.format}, ${webhook.events?.length ? webhook.events.join(', ') : 'all events'})`));
+    return EXIT_CODES.OK;
+}
+
+async function notifyAdd(args, options, config, flags) {
+    const [url] = args;
+    const format = typeof flags.format === 'string' ? flags.format : guessWebhookFormat(url || '');
+    if (!url || !/^https?:\/\//.test(url)) {
+        throw new UsageError(`Usage: notify add <url> [--format <${WEBHOOK_FORMATS.join('|')}>] [--events <a,b>]`);
+    }
+    if (!WEBHOOK_FORMATS.includes(format)) {
+        throw new UsageError(`Unknown webhook format: ${format}`);
+    }
+    const events = typeof flags.events === 'string' ? flags.events.split(',').map(event => event.trim()).filter(Boolean) : [];
+    const unknown = events.filter(event => !(event in NOTIFY_EVENTS));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown event(s): ${unknown.join(', ')} (expected ${Object.keys(NOTIFY_EVENTS).join(', ')})`);
+    }
+
+    const settings = config?.notifications || {};
+    const webhooks = (settings.webhooks || []).filter(webhook => webhook.url !== url);
+    await saveConfig({ ...(config || {}), notifications: { ...settings, webhooks: [...webhooks, { url, format, events }] } });
+    console.log(chalk.green(`Sending ${events.length ? events.join(', ') : 'all events'} to ${maskWebhookUrl(url)} (${format})`));
+    return EXIT_CODES.OK;
+}
+
+async function notifyRemove(args, options, config) {
+    const [match] = args;
+    if (!match) {
+        throw new UsageError('Usage: notify remove <number|url>');
+    }
+
+    const settings = config?.notifications || {};
+    const webhooks = settings.webhooks || [];
+    const remaining = webhooks.filter((webhook, index) => String(index + 1) !== match && webhook.url !== match);
+    if (remaining.length === webhooks.length) {
+        throw new Error('No webhook matches');
+    }
+
+    await saveConfig({ ...config, notifications: { ...settings, webhooks: remaining } });
+    console.log(chalk.yellow('Webhook removed'));
+    return EXIT_CODES.OK;
+}
+
+async function notifyTest(args, options, config, flags) {
+    const event = typeof flags.event === 'string' ? flags.event : 'ip-changed';
+    if (!(event in NOTIFY_EVENTS)) {
+        throw new UsageError(`Unknown event: ${event}`);
+    }
+    const settings = config?.notifications;
+    if (!settings?.syslog && !settings?.webhooks?.length) {
+        throw new Error('No notification destinations configured');
+    }
+    if (settings.events?.length && !settings.events.includes(event)) {
+        throw new Error(`${event} is filtered out by notifications.events`);
+    }
+
+    // Bypasses the rate limit, but not the event filters
+    const failures = await notify(settings, event, `Test notification: ${NOTIFY_EVENTS[event]}`, { key: 'test', force: true });
+    failures.forEach(({ destination, error }) => console.error(chalk.red(`${destination.startsWith('http') ? maskWebhookUrl(destination) : destination}: ${error}`)));
+    if (failures.length > 0) {
+        return EXIT_CODES.ERROR;
+    }
+    console.log(chalk.green(`Sent a test ${event} notification`));
+    return EXIT_CODES.OK;
+}
+
+async function auditShow(args, options, config, flags) {
+    const since = typeof flags.since === 'string' ? parseSince(flags.since) : null;
+    if (flags.since !== undefined && !since) {
+        throw new UsageError(`Invalid --since: ${flags.since} (expected a date or e.g. 30m, 12h, 7d)`);
+    }
+
+    const records = await readAudit({
+        since,
+        identifier: typeof flags.identifier === 'string' ? flags.identifier : null,
+        event: typeof flags.event === 'string' ? flags.event : null
+    });
+    if (flags.json) {
+        records.forEach(record => console.log(JSON.stringify(record)));
+    } else if (records.length === 0) {
+        console.log(chalk.gray('No matching audit records'));
+    } else {
+        records.forEach(record => console.log(formatAuditRecord(record)));
+    }
+    return EXIT_CODES.OK;
+}
+
+async function queryRunningNode(path, options) {
+    try {
+        return await queryControl(path, options);
+    } catch (error) {
+        throw new Error(error.code === 'ENOENT' || error.code === 'ECONNREFUSED'
+            ? `No node is running (no control API at ${CONTROL_SOCKET})`
+            : `Control API: ${error.message}`);
+    }
+}
+
+async function nodeStatus(args, options, config) {
+    console.log(JSON.stringify(await queryRunningNode('/status'), null, 2));
+    return EXIT_CODES.OK;
+}
+
+async function nodeRefresh(args, options, config) {
+    const node = await queryRunningNode('/refresh', { method: 'POST' });
+    if (node.lastExitCode !== undefined && node.lastExitCode !== EXIT_CODES.OK) {
+        console.error(chalk.red(`Refresh failed${node.lastError ? `: ${node.lastError.message}` : ''}`));
+        return EXIT_CODES.ERROR;
+    }
+    console.log(chalk.green(`Refreshed the running ${node.nodeType} node (pid ${node.pid})`));
+    return EXIT_CODES.OK;
+}
+
+async function status(args, options, config) {
+    const formatTime = time => time ? new Date(time).toLocaleString() : 'Never';
+    console.log(chalk.cyan.bold('SSH Whitelist Status\n'));
+    console.log(`Config file: ${config ? CONFIG_FILE : chalk.yellow('not found')}`);
+    console.log(`Node type:   ${config?.nodeType || 'unknown'}`);
+    console.log(`Identifier:  ${options.identifier || '-'}`);
+
+    const node = await queryControl('/status').catch(() => null);
+    console.log(`Running:     ${node ? `${node.nodeType} node, pid ${node.pid}, since ${formatTime(node.startedAt)}` : chalk.gray('no node is running')}`);
+    if (node?.lastIp) {
+        console.log(`Last IP:     ${node.lastIp} (published ${formatTime(node.lastPublish)})`);
+    }
+    if (node?.lastSync) {
+        console.log(`Last sync:   ${formatTime(node.lastSync)}, ${node.ruleCount} rule(s)`);
+    }
+    if (node?.lastError) {
+        console.log(`Last error:  ${chalk.red(node.lastError.message)} (${formatTime(node.lastError.time)})`);
+    }
+    if (node?.offline) {
+        console.log(`Offline:     ${chalk.yellow(`store unreachable, enforcing the last-known-good whitelist (${node.offline.error})`)}`);
+    }
+    if (node?.nextRun) {
+        console.log(`Next update: ${formatTime(node.nextRun)}${node.failures ? chalk.yellow(` (backing off after ${node.failures} failure(s))`) : ''}`);
+    }
+    const store = await getStore(options, config);
+    console.log(`Store:       ${store.describe()}`);
+    console.log(`Encryption:  ${options.encryptionKey ? `key ID ${encryptionKeyId(options.encryptionKey)}` : 'off'}`);
+    console.log(`Last run:    ${config?.lastRun ? new Date(config.lastRun).toLocaleString() : 'Never'}`);
+    if (config?.nodeType === 'server') {
+        console.log(`Firewall:    ${FIREWALL_BACKENDS[options.firewall]?.label || options.firewall} (port ${options.port})`);
+        console.log(`Group:       ${config.group || '-'}`);
+        const lastGood = await loadLastGood().catch(() => null);
+        console.log(`Last good:   ${lastGood ? `${Object.keys(lastGood.whitelist).length} identifier(s), saved ${formatTime(lastGood.savedAt)}` : 'none yet'}`);
+    }
+
+    const whitelist = await readWhitelist(store);
+    console.log(`Whitelist:   ${Object.keys(whitelist).length} identifier(s)`);
+
+    if (config?.nodeType === 'server') {
+        const firewallManager = getFirewallManager(options);
+        const { plan, rejected, expired, skipped } = await planServerSync(store, firewallManager, options.port, syncPolicy(config, options));
+        console.log(`Rules:       ${plan.remove.length + plan.unchanged.length} managed, ${summarizePlan(plan)}`);
+        console.log(`Signatures:  ${config?.trustedKeys?.length ? `${config.trustedKeys.length} trusted key(s), ${rejected.length} entry(ies) rejected` : chalk.yellow('not verified (no trusted keys)')}`);
+        console.log(`Expired:     ${expired.length} entry(ies)`);
+        console.log(`Scoped out:  ${skipped.length} entry(ies) for other servers`);
+    } else if (options.identifier) {
+        const entry = whitelist[options.identifier];
+        console.log(`Published:   ${entry ? formatEntry(entry) : chalk.yellow('not yet published')}`);
+    }
+    return EXIT_CODES.OK;
+}
+
+async function configShow(args, options, config) {
+    if (!config) {
+        throw new Error(`No saved configuration at ${CONFIG_FILE}`);
+    }
+
+    const mask = secret => `${secret.slice(0, 4)}…`;
+    const masked = { ...config };
+    if (masked.githubToken) {
+        masked.githubToken = mask(masked.githubToken);
+    }
+    if (masked.encryptionKey) {
+        masked.encryptionKey = mask(masked.encryptionKey);
+    }
+    if (masked.notifications?.webhooks) {
+        masked.notifications = {
+            ...masked.notifications,
+            webhooks: masked.notifications.webhooks.map(webhook => ({ ...webhook, url: maskWebhookUrl(webhook.url) }))
+        };
+    }
+    if (masked.store?.token) {
+        masked.store = { ...masked.store, token: mask(masked.store.token) };
+    }
+    if (masked.knock?.secret) {
+        masked.knock = { ...masked.knock, secret: mask(masked.knock.secret) };
+    }
+    console.log(JSON.stringify(masked, null, 2));
+    return EXIT_CODES.OK;
+}
+
+async function configSet(args, options, config) {
+    const [key, value] = args;
+    if (!(key in CONFIG_KEYS) || value === undefined) {
+        throw new UsageError(`Usage: config set <${Object.keys(CONFIG_KEYS).join('|')}> <value>`);
+    }
+
+    const parsed = CONFIG_KEYS[key](value);
+    if (parsed === null) {
+        throw new UsageError(`Invalid value for ${key}: ${value}`);
+    }
+
+    // Dotted keys address a nested section, e.g. store.type
+    const [section, field] = key.split('.');
+    const updated = { ...(config || {}) };
+    if (field) {
+        updated[section] = { ...(updated[section] || {}), [field]: parsed };
+    } else {
+        updated[key] = parsed;
+    }
+
+    await saveConfig(updated);
+    console.log(chalk.green(`Set ${key}`));
+    return EXIT_CODES.OK;
+}
+
+function requireNodeType(config) {
+    if (!config?.nodeType) {
+        throw new UsageError('No node type configured. Run the setup wizard or `config set nodeType <connector|server>`');
+    }
+    return config.nodeType;
+}
+
+async function installServiceCommand(args, options, config, flags) {
+    const nodeType = requireNodeType(config);
+    const intervalMinutes = parseInt(flags.every || '5');
+    if (!(intervalMinutes > 0)) {
+        throw new UsageError(`Invalid interval: ${flags.every}`);
+    }
+
+    const units = await installService(nodeType, { timer: !flags['no-timer'], intervalMinutes });
+    console.log(chalk.green(`Installed ${flags['no-timer'] ? units.service : `${units.service} and ${units.timer}`}`));
+    return EXIT_CODES.OK;
+}
+
+async function uninstallServiceCommand(args, options, config) {
+    const units = await uninstallService(requireNodeType(config));
+    console.log(chalk.yellow(`Removed ${units.service} and ${units.timer}`));
+    return EXIT_CODES.OK;
+}
+
+async function serviceStatus(args, options, config) {
+    const service = await getServiceStatus(requireNodeType(config));
+    if (!service.installed) {
+        console.log(chalk.yellow(`${service.units.service} is not installed`));
+        return EXIT_CODES.ERROR;
+    }
+
+    console.log(`Unit:         ${service.mode === 'timer' ? service.units.timer : service.units.service}`);
+    console.log(`Active:       ${service.active ? chalk.green('yes') : chalk.red('no')}`);
+    console.log(`Service:      ${service.state}`);
+    console.log(`Last result:  ${service.lastResult === 'success' ? chalk.green('success') : chalk.red(service.lastResult || 'unknown')}`);
+    console.log(`Last run:     ${service.lastExit || 'Never'}`);
+    console.log(`Last success: ${config.lastRun ? new Date(config.lastRun).toLocaleString() : 'Never'}`);
+    if (service.nextRun) {
+        console.log(`Next run:     ${service.nextRun}`);
+    }
+    return service.active ? EXIT_CODES.OK : EXIT_CODES.ERROR;
+}
+
+const REPEATABLE_COMMANDS = ['connector push', 'server sync'];
+
+// Failures that send a notification, by command
+const FAILURE_EVENTS = {
+    'connector push': 'publish-failed',
+    'server sync': 'sync-failed'
+};
+
+// Commands that change the whitelist or firewall; their failures are audited
+const AUDITED_COMMANDS = [...REPEATABLE_COMMANDS, 'whitelist add', 'whitelist remove', 'rotate-key', 'snapshots restore'];
+
+const COMMANDS = {
+    'connector push': connectorPush,
+    'server sync': serverSync,
+    'server plan': serverPlan,
+    'server confirm': serverConfirm,
+    'snapshots list': snapshotsList,
+    'snapshots restore': snapshotsRestore,
+    'snapshots prune': snapshotsPrune,
+    'whitelist list': whitelistList,
+    'whitelist add': whitelistAdd,
+    'whitelist remove': whitelistRemove,
+    'policy list': policyList,
+    'policy set': policySet,
+    'policy remove': policyRemove,
+    'keys show': keysShow,
+    'keys list': keysList,
+    'keys trust': keysTrust,
+    'keys untrust': keysUntrust,
+    'rotate-key': rotateKey,
+    'notify list': notifyList,
+    'notify add': notifyAdd,
+    'notify remove': notifyRemove,
+    'notify test': notifyTest,
+    'audit show': auditShow,
+    'status': status,
+    'node status': nodeStatus,
+    'node refresh': nodeRefresh,
+    'config show': configShow,
+    'config set': configSet,
+    'install-service': installServiceCommand,
+    'uninstall-service': uninstallServiceCommand,
+    'service status': serviceStatus
+};
+
+export async function run(argv) {
+    // `--plan` from the TUI and ip.js is `server plan`
+    const { positional, flags } = parseArgs(argv.filter(arg => arg !== '--plan'));
+    if (argv.includes('--plan') && positional.length === 0) {
+        positional.push('server', 'plan');
+    }
+
+    if ((positional.length === 0 && !flags.help) || positional[0] === 'tui') {
+        await import('./tui.js');
+        return null;
+    }
+
+    if (flags.help || positional[0] === 'help') {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    const twoWord = positional.slice(0, 2).join(' ');
+    const [name, args] = COMMANDS[twoWord]
+        ? [twoWord, positional.slice(2)]
+        : [positional[0], positional.slice(1)];
+
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(chalk.red(`Unknown command: ${positional.join(' ')}\n`));
+        console.error(USAGE);
+        return EXIT_CODES.USAGE;
+    }
+
+    const execute = async () => {
+        const config = await loadConfig();
+        let options = {};
+        try {
+            options = resolveOptions(flags, config);
+            const exitCode = await command(args, options, config, flags);
+            updateStatus({ lastExitCode: exitCode });
+            return exitCode;
+        } catch (error) {
+            console.error(chalk.red(`Error: ${error.message}`));
+            updateStatus({ lastExitCode: EXIT_CODES.ERROR, lastError: { command: name, message: error.message, time: new Date().toISOString() } });
+            if (AUDITED_COMMANDS.includes(name) && !(error instanceof UsageError)) {
+                await recordAudit('failed', { command: name, error: error.message }).catch(() => {});
+            }
+            if (name === 'server sync') recordSync({ success: false });
+            if (name === 'connector push') recordPublish({ success: false });
+            if (FAILURE_EVENTS[name] && !(error instanceof UsageError)) {
+                await notify(config?.notifications, FAILURE_EVENTS[name], `${name} failed: ${error.message}`, {
+                    key: options.identifier || '',
+                    details: { command: name, error: error.message }
+                });
+            }
+            return error instanceof UsageError ? EXIT_CODES.USAGE : EXIT_CODES.ERROR;
+        }
+    };
+
+    if (flags.interval && REPEATABLE_COMMANDS.includes(name)) {
+        const seconds = parseInt(flags.interval);
+        if (!(seconds > 0)) {
+            console.error(chalk.red(`Invalid interval: ${flags.interval}`));
+            return EXIT_CODES.USAGE;
+        }
+        // Metrics and the control API only make sense for a process that stays up
+        const config = await loadConfig();
+        const pollSeconds = parseInt(flags.poll || config?.pollInterval || DEFAULT_POLL_INTERVAL);
+        if (flags.poll !== undefined && !(pollSeconds > 0)) {
+            console.error(chalk.red(`Invalid poll interval: ${flags.poll}`));
+            return EXIT_CODES.USAGE;
+        }
+        let options;
+        try {
+            options = resolveOptions(flags, config);
+        } catch (error) {
+            console.error(chalk.red(error.message));
+            return EXIT_CODES.USAGE;
+        }
+        if (config?.metrics?.port) {
+            startMetricsServer(config.metrics);
+        }
+
+        // Runs forever, every `seconds`, backing off after failures (service mode without a timer)
+        const scheduler = new Scheduler(async () => {
+            const exitCode = await execute();
+            if (exitCode !== EXIT_CODES.OK) {
+                throw new Error(`Run failed with exit code ${exitCode}`);
+            }
+            return exitCode;
+        }, {
+            interval: seconds * 1000,
+            onChange: ({ failures, nextRunAt, retryAt }) => {
+                updateStatus({ nextRun: nextRunAt.toISOString(), failures });
+                if (failures > 0) {
+                    console.error(chalk.yellow(`${failures} run(s) in a row failed${retryAt ? ', store is rate limited' : ''}; next run at ${nextRunAt.toLocaleTimeString()}`));
+                } else if (retryAt) {
+                    console.error(chalk.yellow(`Store is rate limited; next run at ${nextRunAt.toLocaleTimeString()}`));
+                }
+            }
+        });
+        const runOnce = () => scheduler.run();
+        await startControlServer({
+            nodeType: name.split(' ')[0],
+            identifier: options.identifier,
+            refresh: runOnce,
+            whitelist: async () => await readWhitelist(await getStore(options, config))
+        }).catch(error => console.error(chalk.yellow(`Warning: ${error.message}`)));
+
+        if (name === 'connector push' && config?.networkWatch !== false) {
+            const { sources } = await watchNetwork(reason => {
+                console.log(chalk.cyan(reason === 'resume' ? 'Resumed from suspend, publishing now' : 'Network changed, publishing now'));
+                return runOnce();
+            }, { debounce: config?.networkDebounce });
+            console.log(chalk.gray(`Watching for network changes (${sources.join(', ')})`));
+        }
+        if (name === 'server sync') {
+            // Knocks and revision changes start the next run early
+            if (config?.knock?.port) {
+                try {
+                    startKnockListener({ ...config.knock, onKnock: runOnce });
+                } catch (error) {
+                    console.error(chalk.yellow(`Warning: ${error.message}`));
+                }
+            }
+            if (pollSeconds < seconds) {
+                await getStore(options, config)
+                    .then(store => pollWhitelist(store, pollSeconds, runOnce))
+                    .catch(error => console.error(chalk.yellow(`Warning: ${error.message}`)));
+            }
+        }
+        await runOnce().catch(() => {});
+        return null;
+    }
+
+    return await execute();
+}
+
+// Only run when started directly, so the TUI and ip.js can hand commands over
+if (import.meta.main) {
+    const exitCode = await run(process.argv.slice(2));
+    if (exitCode !== null) {
+        process.exit(exitCode);
+    }
+}
@@ -1,31 +1,40 @@
 #!/usr/bin/env bun
 // ip-manager.js
-import { Octokit } from "@octokit/rest";
 import { $ } from "bun";
 import prompts from 'prompts';
 import chalk from 'chalk';
 import os from 'os';
 import path from 'path';
-import { existsSync, mkdirSync } from 'fs';
-import { readFile, writeFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { auditAddresses, recordAudit } from './audit.js';
+import { CONFIG_DIR as NODE_CONFIG_DIR, ensureConfigDir, loadConfig as loadNodeConfig } from './config.js';
+import { updateStatus } from './control.js';
+import { FIREWALL_BACKENDS, createFirewallBackend, detectFirewallBackends } from './firewall.js';
+import { discoverAddresses } from './ipdiscovery.js';
+import { readWhitelistForSync, saveLastGood } from './lastgood.js';
+import { sendKnocks } from './knock.js';
+import { recordPlan, recordPublish } from './metrics.js';
+import { notify } from './notify.js';
+import { detectSessionAddresses } from './safemode.js';
+import { filterTrustedEntries, loadSigningKey, signEntry } from './signing.js';
+import { createWhitelistStore } from './store.js';
+import { createEntry, entryAddresses, filterEntriesForServer, filterExpiredEntries, formatEntry, sameEntry } from './whitelist.js';
+import { applyPlan, buildDesiredRules, diffWhitelist, formatRule, planRules, protectSessions, summarizePlan } from './sync.js';
 
 // Constants
 const CONFIG_DIR = path.join(os.homedir(), '.ip-manager');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
-const STATE_FILE = path.join(CONFIG_DIR, 'ufw-state.json');
+const STATE_FILE = path.join(NODE_CONFIG_DIR, 'sync-state.json');
+const LEGACY_STATE_FILE = path.join(CONFIG_DIR, 'ufw-state.json');
 let lastCredentials = null;
 let lastDomain = null;
 
-// Ensure config directory exists
-if (!existsSync(CONFIG_DIR)) {
-    mkdirSync(CONFIG_DIR, { recursive: true });
-}
-
 // System Check Types
 const SystemRequirements = {
     CONNECTOR: ['ssh'],
-    SERVER: ['ssh', 'ufw'],
-    ALL: ['bun', 'ssh', 'ufw']
+    SERVER: ['ssh', 'firewall'],
+    ALL: ['bun', 'ssh', 'firewall']
 };
 
 // Utility functions
@@ -88,6 +97,24 @@ class SystemChecker {
         }
     }
 
+    async checkFirewall() {
+        if (this.platform === 'win32') {
+            return { installed: false, status: 'not supported on Windows' };
+        }
+
+        const backends = await detectFirewallBackends();
+        if (backends.length === 0) {
+            return { installed: false, status: 'not installed' };
+        }
+
+        const isActive = await createFirewallBackend(backends[0]).isActive();
+        return {
+            installed: true,
+            status: isActive ? 'active' : 'inactive',
+            backends
+        };
+    }
+
     getInstallCommand(service) {
         if (this.platform === 'win32') {
             return 'Please visit https://docs.microsoft.com/windows-server/administration/openssh/openssh_install_firstuse';
@@ -103,6 +130,11 @@ class SystemChecker {
                 ubuntu: 'sudo apt-get install ufw',
                 fedora: 'sudo dnf install ufw',
                 macos: 'brew install ufw'
+            },
+            firewall: {
+                ubuntu: 'sudo apt-get install ufw',
+                fedora: 'sudo dnf install firewalld',
+                macos: 'Firewall backends are not supported on macOS'
             }
         };
 
@@ -125,6 +157,8 @@ class SystemChecker {
                 return await this.checkSSH();
             case 'ufw':
                 return await this.checkUFW();
+            case 'firewall':
+                return await this.checkFirewall();
             default:
                 return { installed: false, status: 'unknown' };
         }
@@ -150,7 +184,8 @@ class SystemChecker {
             } else if (serviceStatus.status === 'inactive' || serviceStatus.needsStart || serviceStatus.needsEnable) {
                 statusSymbol = '⚠️';
                 statusColor = 'yellow';
-                statusMessage = service === 'ufw' ? 'Inactive - Run: sudo ufw enable' : 
+                statusMessage = service === 'ufw' ? 'Inactive - Run: sudo ufw enable' :
+                              service === 'firewall' ? `Inactive - Enable ${serviceStatus.backends.join(' or ')}` :
                               `Inactive - Run: sudo systemctl start ${service}`;
                 allGood = false;
             } else {
@@ -167,118 +202,27 @@ class SystemChecker {
     }
 }
 
-class GistManager {
-    constructor(token) {
-        this.octokit = new Octokit({ auth: token });
-    }
-
-    async validateToken() {
-        try {
-            await this.octokit.rest.users.getAuthenticated();
-            return true;
-        } catch {
-            return false;
-        }
-    }
-
-    async createGist(domain, ip) {
-        try {
-            const response = await this.octokit.request('POST /gists', {
-                description: 'IP_TABLE',
-                public: false,
-                files: {
-                    'config.json': {
-                        content: JSON.stringify({ [domain]: ip }, null, 2)
-                    }
-                },
-                headers: {
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            });
-            return response.data.id;
-        } catch (error) {
-            throw new Error("Failed to create gist: " + error.message);
-        }
-    }
-
-    async getGistContent(gist) {
-        try {
-            const raw_url = gist.files['config.json'].raw_url;
-            const response = await fetch(raw_url);
-            const text = await response.text();
-            try {
-                return JSON.parse(text);
-            } catch (parseError) {
-                console.log(chalk.yellow('Warning: Invalid JSON in gist, creating fresh configuration.'));
-                return {};
-            }
-        } catch (error) {
-            throw new Error("Failed to fetch gist content: " + error.message);
-        }
+class FirewallManager {
+    constructor(backend) {
+        this.backend = backend;
     }
 
-    async getAllGists() {
-        try {
-            const response = await this.octokit.request('GET /gists', {
-                headers: {
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            });
-            return response.data;
-        } catch (error) {
-            throw new Error("Failed to fetch gists: " + error.message);
-        }
+    async addRule(ip, port, proto) {
+        await this.backend.addRule(ip, port, proto);
+        console.log(chalk.green(`Added ${this.backend.label} rule for ${ip}`));
     }
 
-    async updateGist(gistId, content) {
-        try {
-            await this.octokit.request('PATCH /gists/{gist_id}', {
-                gist_id: gistId,
-                files: {
-                    'config.json': {
-                        content: JSON.stringify(content, null, 2)
-                    }
-                },
-                headers: {
-                    'X-GitHub-Api-Version': '2022-11-28'
-                }
-            });
-        } catch (error) {
-            throw new Error("Failed to update gist: " + error.message);
-        }
+    async removeRule(ip, port, proto) {
+        await this.backend.removeRule(ip, port, proto);
+        console.log(chalk.yellow(`Removed ${this.backend.label} rule for ${ip}`));
     }
-}
 
-class UFWManager {
-    constructor(port) {
-        this.port = port;
-    }
-
-    async addRule(ip) {
-        try {
-            await $`sudo ufw allow from ${ip} to any port ${this.port}`;
-            console.log(chalk.green(`Added UFW rule for ${ip}`));
-        } catch (error) {
-            throw new Error(`Failed to add UFW rule: ${error.message}`);
-        }
-    }
-
-    async removeRule(ip) {
-        try {
-            await $`sudo ufw delete allow from ${ip} to any port ${this.port}`;
-            console.log(chalk.yellow(`Removed UFW rule for ${ip}`));
-        } catch (error) {
-            throw new Error(`Failed to remove UFW rule: ${error.message}`);
-        }
+    async listManagedRules() {
+        return await this.backend.listManagedRules();
     }
 
     async listRules() {
-        try {
-            const result = await $`sudo ufw status numbered`;
-            console.log(result.stdout);
-        } catch (error) {
-            throw new Error(`Failed to list UFW rules: ${error.message}`);
-        }
+        console.log(await this.backend.listRules());
     }
 }
 
@@ -297,17 +241,17 @@ async function loadConfig() {
 
 async function saveConfig(token, domain) {
     try {
+        await mkdir(CONFIG_DIR, { recursive: true });
         await writeFile(CONFIG_FILE, JSON.stringify({ token, domain }, null, 2));
     } catch (error) {
         console.error(chalk.yellow('Warning: Could not save configuration'));
     }
 }
 
-async function getDeviceIp() {
+// Returns the address families discovery settled; null when one is absent
+async function getDeviceIp(discovery = {}) {
     try {
-        const response = await fetch("https://api.ipify.org?format=json");
-        const data = await response.json();
-        return data.ip;
+        return await discoverAddresses(discovery);
     } catch (error) {
         throw new Error("Failed to fetch device IP: " + error.message);
     }
@@ -328,12 +272,18 @@ async function mainMenu() {
             disabled: !status.ssh?.installed
         },
         { 
-            title: 'Server Node (UFW Manager)',
+            title: 'Server Node (Firewall Manager)',
             value: 'server',
-            disabled: !status.ufw?.installed || !status.ssh?.installed
+            disabled: !status.firewall?.installed || !status.ssh?.installed
         }
     ];
 
+    choices.push({
+        title: 'Server Sync Plan (Dry Run)',
+        value: 'plan',
+        disabled: !status.firewall?.installed
+    });
+
     if (lastCredentials) {
         choices.push({ 
             title: 'Refresh IP (Use Last Settings)',
@@ -372,6 +322,24 @@ async function getCredentials(useLastCredentials = false) {
     return creds;
 }
 
+// Builds the store from the node configuration the CLI and the TUI use; only
+// the gist store asks for a token. Returns null when no token was entered.
+async function getStore(useLastCredentials = false) {
+    const config = await loadNodeConfig() || {};
+    // Every store type encrypts with the same key the CLI resolves
+    const encryptionKey = process.env.WHITELIST_ENCRYPTION_KEY ?? config.encryptionKey;
+    if ((config.store?.type || 'gist') !== 'gist') {
+        return createWhitelistStore({ ...config, encryptionKey });
+    }
+
+    const { token } = await getCredentials(useLastCredentials);
+    if (!token) {
+        console.log(chalk.red('Token is required!'));
+        return null;
+    }
+    return createWhitelistStore({ ...config, githubToken: token, encryptionKey });
+}
+
 async function getDomain(useLastDomain = false) {
     if (useLastDomain && lastDomain) {
         return { domain: lastDomain };
@@ -398,6 +366,68 @@ async function getSshPort() {
     return result;
 }
 
+async function getFirewallBackend(available) {
+    const result = await prompts({
+        type: 'select',
+        name: 'backend',
+        message: 'Select firewall backend:',
+        choices: Object.entries(FIREWALL_BACKENDS).map(([value, { label }]) => ({
+            title: label,
+            value,
+            disabled: !available.includes(value)
+        })),
+        initial: Math.max(Object.keys(FIREWALL_BACKENDS).indexOf(available[0]), 0)
+    });
+    return result;
+}
+
+// Publishes this device's IP under the given identifier
+// Publishes even an unchanged IP: the write refreshes the entry's heartbeat
+async function publishIp(store, domain, { discovery = {}, keyPath = null, ttl = null, groups = null, servers = null, notifications = null, knock = null } = {}) {
+    // Get current IP
+    const ip = await getDeviceIp(discovery);
+    console.log(chalk.cyan(`Current IP: ${formatEntry(ip)}`));
+
+    // Optionally limit the entry to some server groups or servers. Without
+    // them the stored scope is kept; an empty list clears it.
+    const scope = {
+        ...(groups ? { groups } : {}),
+        ...(servers ? { servers } : {})
+    };
+
+    const entry = createEntry({ ...ip, ...scope }, ttl);
+    // A family discovery could not settle keeps the address stored for it
+    ['ipv4', 'ipv6'].filter(key => !(key in ip)).forEach(key => delete entry[key]);
+    const privateKey = await loadSigningKey(keyPath);
+
+    // Only this connector's entry is written; concurrent updates are merged.
+    // It is signed as stored so servers can check it came from a trusted connector.
+    let published = entry;
+    const previous = await store.publishEntry(domain, entry, merged => (published = signEntry(domain, merged, privateKey)));
+    await recordAudit('publish', { identifier: domain, from: auditAddresses(previous), to: auditAddresses(published), revision: store.revision });
+    console.log(chalk.green('Successfully updated IP in whitelist!'));
+    recordPublish({ success: true, changed: !sameEntry(previous, published) });
+    updateStatus({ lastIp: formatEntry(ip), lastPublish: new Date().toISOString(), revision: store.revision });
+
+    if (!sameEntry(previous, published)) {
+        await notify(notifications, 'ip-changed', `${domain} is now ${formatEntry(published)}${previous ? ` (was ${formatEntry(previous)})` : ''}`, {
+            key: domain,
+            details: { identifier: domain, from: auditAddresses(previous), to: auditAddresses(published) }
+        });
+
+        // Servers with a knock listener sync now instead of at their next poll
+        if (knock?.secret && knock.targets?.length) {
+            const failures = await sendKnocks(knock.targets, domain, knock.secret);
+            for (const { target, error } of failures) {
+                console.log(chalk.yellow(`Warning: Could not knock ${target}: ${error}`));
+            }
+            console.log(chalk.cyan(`Knocked ${knock.targets.length - failures.length} of ${knock.targets.length} server(s)`));
+        }
+    }
+
+    return ip;
+}
+
 async function connectorMode(useLastSettings = false) {
     console.clear();
     console.log(chalk.cyan.bold('📡 Connector Node Configuration\n'));
@@ -417,18 +447,12 @@ async function connectorMode(useLastSettings = false) {
     }
 
     try {
-        // Get credentials
-        const { token } = await getCredentials(useLastSettings);
-        if (!token) {
-            console.log(chalk.red('Token is required!'));
-            return;
-        }
+        const store = await getStore(useLastSettings);
+        if (!store) return;
 
-        const gistManager = new GistManager(token);
-
-        // Validate token
-        if (!await gistManager.validateToken()) {
-            console.log(chalk.red('Invalid GitHub token!'));
+        // Validate token or store access
+        if (!await store.validate()) {
+            console.log(chalk.red(store.type === 'gist' ? 'Invalid GitHub token!' : `Cannot access ${store.describe()}`));
             lastCredentials = null;
             return;
         }
@@ -441,35 +465,161 @@ async function connectorMode(useLastSettings = false) {
         }
 
         // Save valid configuration
-        await saveConfig(token, domain);
+        await saveConfig(lastCredentials?.token, domain);
+
+        await publishIp(store, domain);
+
+    } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        return await retryMenu();
+    }
+}
+
+// Server sync helpers for the CLI's `server plan` and `server sync`
+async function loadLocalState() {
+    try {
+        // Servers synced before the state moved still have it in the legacy file
+        const file = [STATE_FILE, LEGACY_STATE_FILE].find(existsSync);
+        if (file) {
+            return JSON.parse(await readFile(file, 'utf8'));
+        }
+    } catch (error) {
+        console.log(chalk.yellow('Warning: Could not load local state, treating all entries as new'));
+    }
+    return {};
+}
 
-        // Get current IP
-        const ip = await getDeviceIp();
-        console.log(chalk.cyan(`Current IP: ${ip}`));
+async function planServerSync(store, firewallManager, port, {
+    trustedKeys = [],
+    maxEntryAge = null,
+    policies = {},
+    server = { name: os.hostname(), group: null },
+    maxShrink,
+    acceptShrink = false
+} = {}) {
+    // Invalid or much smaller whitelists are refused; an unreachable store falls back to the last-known-good copy
+    const { whitelist: storedData, revision, offline } = await readWhitelistForSync(store, { maxShrink, acceptShrink });
+
+    // Entries scoped to other servers, not signed by a trusted key or past their heartbeat never produce rules
+    const { whitelist: scopedData, skipped } = filterEntriesForServer(storedData, server);
+    const { whitelist: trustedData, rejected } = filterTrustedEntries(scopedData, trustedKeys);
+    const { whitelist: newData, expired } = filterExpiredEntries(trustedData, maxEntryAge);
+
+    const oldData = await loadLocalState();
+    const managedRules = await firewallManager.listManagedRules();
+    const planned = planRules(managedRules, buildDesiredRules(newData, port, policies));
+    // Rules to remove come from the firewall; they belong to whoever had the address before
+    planned.remove = planned.remove.map(rule => ({ ...rule, domain: findDomainByIp(oldData, rule.ip) ?? findDomainByIp(storedData, rule.ip) }));
+    const plan = protectSessions(planned, await detectSessionAddresses(port), port);
+
+    return { storedData, newData, oldData, plan, rejected, expired, skipped, revision, offline };
+}
+
+function printOffline(offline) {
+    if (offline) {
+        console.error(chalk.yellow(`Store unreachable (${offline.error}), enforcing the last-known-good whitelist from ${new Date(offline.savedAt).toLocaleString()}`));
+    }
+}
+
+function printRejected(rejected) {
+    rejected.forEach(({ identifier, reason }) => console.error(chalk.red(`Rejected ${identifier}: ${reason}`)));
+}
+
+function printExpired(expired) {
+    expired.forEach(({ identifier, updatedAt }) =>
+        console.log(chalk.yellow(`Expired ${identifier}: no heartbeat since ${new Date(updatedAt).toLocaleString()}`)));
+}
 
-        // Handle gist operations
-        const gists = await gistManager.getAllGists();
-        const configGist = gists.find(g => g.files['config.json']);
+function findDomainByIp(data, ip) {
+    return Object.keys(data).find(domain => entryAddresses(data[domain]).includes(ip)) ?? null;
+}
+
+function printPlan({ newData, oldData, plan, rejected = [], expired = [], skipped = [], offline = null }) {
+    printOffline(offline);
+    const { added, changed, removed } = diffWhitelist(oldData, newData);
+    console.log(chalk.cyan('\nWhitelist changes since last sync:'));
+    added.forEach(domain => console.log(chalk.green(`  + ${domain} (${formatEntry(newData[domain])})`)));
+    changed.forEach(domain => console.log(chalk.yellow(`  ~ ${domain} (${formatEntry(oldData[domain])} -> ${formatEntry(newData[domain])})`)));
+    removed.forEach(domain => console.log(chalk.red(`  - ${domain} (${formatEntry(oldData[domain])})`)));
+    if (added.length + changed.length + removed.length === 0) {
+        console.log(chalk.gray('  none'));
+    }
+
+    if (rejected.length > 0) {
+        console.log(chalk.cyan('\nRejected entries:'));
+        rejected.forEach(({ identifier, reason }) => console.log(chalk.red(`  ! ${identifier} (${reason})`)));
+    }
+
+    if (expired.length > 0) {
+        console.log(chalk.cyan('\nExpired entries:'));
+        expired.forEach(({ identifier, updatedAt }) =>
+            console.log(chalk.yellow(`  x ${identifier} (last heartbeat ${new Date(updatedAt).toLocaleString()})`)));
+    }
 
-        if (configGist) {
-            const currentContent = await gistManager.getGistContent(configGist);
-            currentContent[domain] = ip;
-            await gistManager.updateGist(configGist.id, currentContent);
-            console.log(chalk.green('Successfully updated IP in gist!'));
+    if (skipped.length > 0) {
+        console.log(chalk.gray(`\nScoped to other servers: ${skipped.join(', ')}`));
+    }
+
+    console.log(chalk.cyan('\nFirewall rule plan:'));
+    plan.add.forEach(rule => console.log(chalk.green(`  + allow ${formatRule(rule)} (${rule.domain})`)));
+    plan.remove.forEach(rule => console.log(chalk.red(`  - allow ${formatRule(rule)} (${rule.domain || 'unknown'})`)));
+    plan.unchanged.forEach(rule => console.log(chalk.gray(`    allow ${formatRule(rule)} (${rule.domain})`)));
+    plan.held.forEach(rule => console.log(chalk.magenta(`  ! keep ${formatRule(rule)} (active SSH session)`)));
+
+    console.log(chalk.bold(`\nPlan: ${summarizePlan(plan)}`));
+}
+
+// Applies a plan computed against a readied backend; saveSyncState records it
+// once the sync is kept
+async function applyServerSync(firewallManager, { plan, rejected = [], expired = [], revision = null, offline = null }) {
+    printOffline(offline);
+    recordPlan(plan);
+    printRejected(rejected);
+    printExpired(expired);
+
+    // Reconcile the tool-owned rules against the whitelist
+    for (const rule of plan.unchanged) {
+        console.log(chalk.green(`No change for ${rule.domain} (${formatRule(rule)})`));
+    }
+    for (const rule of plan.held) {
+        console.log(chalk.magenta(`Kept rule for an active SSH session (${formatRule(rule)})`));
+    }
+
+    const errors = await applyPlan(firewallManager, plan, async (action, rule, error) => {
+        if (action === 'add') {
+            console.log(chalk.cyan(`Added rule for ${rule.domain} (${formatRule(rule)})`));
+        } else if (action === 'remove') {
+            console.log(chalk.yellow(`Removed stale rule for ${rule.domain || 'unknown'} (${formatRule(rule)})`));
         } else {
-            const gistId = await gistManager.createGist(domain, ip);
-            console.log(chalk.green(`Created new gist with ID: ${gistId}`));
+            console.error(chalk.red(`Failed to update rule for ${rule.domain || 'unknown'}: ${error.message}`));
         }
+        await delay(1000); // Prevent overwhelming the firewall
+    }, { reason: 'sync', revision });
+
+    updateStatus({
+        lastSync: new Date().toISOString(),
+        ruleCount: plan.add.length + plan.unchanged.length + plan.held.length,
+        revision,
+        offline
+    });
+    return errors;
+}
 
-    } catch (error) {
-        console.error(chalk.red(`Error: ${error.message}`));
-        return await retryMenu();
+// Records the whitelist an applied sync came from: the state the next plan
+// compares against and, when it was fetched and fully applied, the
+// last-known-good copy. A sync waiting for confirmation records nothing until
+// it is confirmed, so a revert leaves both as they were.
+async function saveSyncState({ storedData, newData, revision = null, offline = null }, errors = []) {
+    await ensureConfigDir();
+    await writeFile(STATE_FILE, JSON.stringify(newData, null, 2));
+    if (!offline && errors.length === 0) {
+        await saveLastGood(storedData, revision);
     }
 }
 
-async function serverMode() {
+async function serverMode(planOnly = false) {
     console.clear();
-    console.log(chalk.cyan.bold('🖥️  Server Node Configuration\n'));
+    console.log(chalk.cyan.bold(planOnly ? '🔍 Server Sync Plan (Dry Run)\n' : '🖥️  Server Node Configuration\n'));
 
     const systemChecker = new SystemChecker();
     const { status, allGood } = await systemChecker.checkAndDisplayStatus('SERVER');
@@ -489,85 +639,34 @@ async function serverMode() {
         // Get SSH port
         const { port } = await getSshPort();
 
-        // Get credentials
-        const { token } = await getCredentials();
-        if (!token) {
-            console.log(chalk.red('Token is required!'));
-            return;
-        }
-
-        const gistManager = new GistManager(token);
-        const ufwManager = new UFWManager(port);
-        const localStateFile = path.join(CONFIG_DIR, 'ufw-state.json');
-
-        // Validate token
-        if (!await gistManager.validateToken()) {
-            console.log(chalk.red('Invalid GitHub token!'));
+        // Get firewall backend
+        const { backend } = await getFirewallBackend(status.firewall.backends);
+        if (!backend) {
+            console.log(chalk.red('Firewall backend is required!'));
             return;
         }
 
-        // Get gist data
-        const gists = await gistManager.getAllGists();
-        const configGist = gists.find(g => g.files['config.json']);
-
-        if (!configGist) {
-            console.log(chalk.yellow('No configuration gist found!'));
-            return;
-        }
-
-        const newData = await gistManager.getGistContent(configGist);
-        
-        // Load local state
-        let oldData = {};
-        try {
-            if (existsSync(localStateFile)) {
-                oldData = JSON.parse(await readFile(localStateFile, 'utf8'));
-            }
-        } catch (error) {
-            console.log(chalk.yellow('Warning: Could not load local state, treating all entries as new'));
-        }
-        
-        // Process each IP
-        for (const [domain, ip] of Object.entries(newData)) {
-            try {
-                if (!oldData.hasOwnProperty(domain)) {
-                    // New domain, just add the rule
-                    console.log(chalk.cyan(`Adding new rule for ${domain} (${ip})`));
-                    await ufwManager.addRule(ip);
-                } else if (oldData[domain] !== ip) {
-                    // IP has changed, remove old rule and add new one
-                    console.log(chalk.yellow(`Updating rule for ${domain} (${oldData[domain]} -> ${ip})`));
-                    await ufwManager.removeRule(oldData[domain]);
-                    await ufwManager.addRule(ip);
-                } else {
-                    // Same IP, no change needed
-                    console.log(chalk.green(`No change for ${domain} (${ip})`));
-                }
-            } catch (error) {
-                console.error(chalk.red(`Failed to update rules for ${domain}: ${error.message}`));
+        // The gist store needs a token; the other stores are set up in the node config
+        const config = await loadNodeConfig() || {};
+        const tokenArgs = [];
+        if ((config.store?.type || 'gist') === 'gist') {
+            const { token } = await getCredentials();
+            if (!token) {
+                console.log(chalk.red('Token is required!'));
+                return;
             }
-            await delay(1000); // Prevent overwhelming UFW
+            tokenArgs.push('--token', token);
         }
 
-        // Remove rules for domains that no longer exist
-        for (const [oldDomain, oldIp] of Object.entries(oldData)) {
-            if (!newData.hasOwnProperty(oldDomain)) {
-                try {
-                    console.log(chalk.yellow(`Removing rule for deleted domain ${oldDomain} (${oldIp})`));
-                    await ufwManager.removeRule(oldIp);
-                } catch (error) {
-                    console.error(chalk.red(`Failed to remove old rule for ${oldDomain}: ${error.message}`));
-                }
-                await delay(1000);
-            }
-        }
-
-        // Save new state
-        await writeFile(localStateFile, JSON.stringify(newData, null, 2));
+        // The CLI's `server plan` and `server sync` apply the node's sync policy, snapshots and state
+        const { run } = await import('./index.js');
+        const exitCode = await run(['server', planOnly ? 'plan' : 'sync', '--port', String(port), '--firewall', backend, ...tokenArgs]);
+        if (planOnly || exitCode !== 0) return;
 
-        // Show current UFW rules
-        console.log(chalk.cyan('\nCurrent UFW rules:'));
-        await ufwManager.listRules();
+        // Show current firewall rules
+        const firewallManager = new FirewallManager(createFirewallBackend(backend, { port }));
+        console.log(chalk.cyan(`\nCurrent ${firewallManager.backend.label} rules:`));
+        await firewallManager.listRules();
 
     } catch (error) {
         console.error(chalk.red(`Error: ${error.message}`));
@@ -605,6 +704,12 @@ async function main() {
     // Load saved configuration
     await loadConfig();
 
+    // Non-interactive plan: bun ip.js --plan [--port 22] [--firewall ufw] is the CLI's `server plan`
+    if (process.argv.includes('--plan')) {
+        const { run } = await import('./index.js');
+        process.exit(await run(process.argv.slice(2)));
+    }
+
     while (true) {
         const mode = await mainMenu();
 
@@ -617,6 +722,8 @@ async function main() {
             await connectorMode(false);
         } else if (mode === 'server') {
             await serverMode();
+        } else if (mode === 'plan') {
+            await serverMode(true);
         } else if (mode === 'refresh') {
             await connectorMode(true);
         }
@@ -634,9 +741,24 @@ async function main() {
                 await connectorMode(false);
             } else if (mode === 'server') {
                 await serverMode();
+            } else if (mode === 'plan') {
+                await serverMode(true);
             }
         }
     }
 }
 
-main().catch(console.error);
+export {
+    FirewallManager,
+    getDeviceIp,
+    publishIp,
+    planServerSync,
+    applyServerSync,
+    saveSyncState,
+    printPlan
+};
+
+// Only start the interactive menu when run directly, not when imported by the CLI
+if (import.meta.main) {
+    main().catch(console.error);
+}
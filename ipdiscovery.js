@@ -0,0 +1,220 @@
+// ipdiscovery.js
+// Public IP discovery through several independent providers, with fallback
+// order and optional "N of M agree" consensus before an address is trusted.
+import dgram from 'dgram';
+import https from 'https';
+import os from 'os';
+import { randomBytes } from 'crypto';
+import { Resolver } from 'dns/promises';
+import { canonicalIpv6, ipFamily } from './whitelist.js';
+
+// Constants
+export const DEFAULT_PROVIDERS = ['ipify', 'icanhazip', 'ifconfig.me', 'opendns', 'stun'];
+const DEFAULT_TIMEOUT = 5000;
+const STUN_SERVER = { host: 'stun.l.google.com', port: 19302 };
+const STUN_MAGIC_COOKIE = 0x2112A442;
+const OPENDNS_RESOLVERS = { 4: '208.67.222.222', 6: '2620:119:35::35' };
+
+async function httpLookup(url, timeout) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    return (await response.text()).trim();
+}
+
+// For providers that answer IPv4 and IPv6 on one host name: the connection
+// itself is made over the requested family
+function familyHttpLookup(url, family, timeout) {
+    return new Promise((resolve, reject) => {
+        const request = https.get(url, { family, timeout }, response => {
+            if (response.statusCode < 200 || response.statusCode >= 300) {
+                response.resume();
+                reject(new Error(`HTTP ${response.statusCode}`));
+                return;
+            }
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { body += chunk; });
+            response.on('end', () => resolve(body.trim()));
+        });
+        request.on('timeout', () => request.destroy(new Error('Request timed out')));
+        request.on('error', reject);
+    });
+}
+
+// Reads the (XOR-)MAPPED-ADDRESS attribute out of a STUN binding response
+function parseStunResponse(message, transactionId) {
+    if (message.length < 20 || message.readUInt16BE(0) !== 0x0101) return null;
+    if (!message.subarray(8, 20).equals(transactionId)) return null;
+
+    let offset = 20;
+    while (offset + 4 <= message.length) {
+        const type = message.readUInt16BE(offset);
+        const length = message.readUInt16BE(offset + 2);
+        const value = message.subarray(offset + 4, offset + 4 + length);
+        const xored = type === 0x0020;
+
+        if (xored || type === 0x0001) {
+            const family = value[1];
+            const address = Buffer.from(value.subarray(4));
+            if (xored) {
+                const mask = Buffer.alloc(16);
+                mask.writeUInt32BE(STUN_MAGIC_COOKIE, 0);
+                transactionId.copy(mask, 4);
+                for (let i = 0; i < address.length; i++) address[i] ^= mask[i];
+            }
+
+            if (family === 0x01) {
+                return [...address.subarray(0, 4)].join('.');
+            }
+            if (family === 0x02) {
+                const groups = [];
+                for (let i = 0; i < 16; i += 2) groups.push(address.readUInt16BE(i).toString(16));
+                return canonicalIpv6(groups.join(':'));
+            }
+        }
+
+        // Attributes are padded to 4-byte boundaries
+        offset += 4 + Math.ceil(length / 4) * 4;
+    }
+    return null;
+}
+
+function stunLookup(family, timeout) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+        const transactionId = randomBytes(12);
+        const request = Buffer.alloc(20);
+        request.writeUInt16BE(0x0001, 0); // Binding request, no attributes
+        request.writeUInt32BE(STUN_MAGIC_COOKIE, 4);
+        transactionId.copy(request, 8);
+
+        let done = false;
+        const finish = (error, ip) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            socket.close();
+            error ? reject(error) : resolve(ip);
+        };
+        const timer = setTimeout(() => finish(new Error('STUN request timed out')), timeout);
+
+        socket.on('error', error => finish(error));
+        socket.on('message', message => finish(null, parseStunResponse(message, transactionId)));
+        socket.send(request, STUN_SERVER.port, STUN_SERVER.host);
+    });
+}
+
+// OpenDNS answers myip.opendns.com with the address the query came from
+async function openDnsLookup(family, timeout) {
+    const resolver = new Resolver({ timeout, tries: 1 });
+    resolver.setServers([OPENDNS_RESOLVERS[family]]);
+    const [ip] = family === 6
+        ? await resolver.resolve6('myip.opendns.com')
+        : await resolver.resolve4('myip.opendns.com');
+    return ip;
+}
+
+function isPublicAddress(ip) {
+    if (ipFamily(ip) === 4) {
+        const [a, b] = ip.split('.').map(Number);
+        return !(a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a === 0);
+    }
+    const first = ip.toLowerCase();
+    return !(first === '::1' || first.startsWith('fe80:') || first.startsWith('fc') || first.startsWith('fd'));
+}
+
+// Uses a globally routable address assigned to a local interface, if any
+async function interfaceLookup(family) {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        for (const address of addresses || []) {
+            if (!address.internal && ipFamily(address.address) === family && isPublicAddress(address.address)) {
+                return address.address;
+            }
+        }
+    }
+    return null;
+}
+
+const PROVIDERS = {
+    'ipify': (family, timeout) => httpLookup(family === 6 ? 'https://api6.ipify.org' : 'https://api.ipify.org', timeout),
+    'icanhazip': (family, timeout) => httpLookup(`https://ipv${family}.icanhazip.com`, timeout),
+    'ifconfig.me': (family, timeout) => familyHttpLookup('https://ifconfig.me/ip', family, timeout),
+    'opendns': openDnsLookup,
+    'stun': stunLookup,
+    'interface': interfaceLookup
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Builds discovery options from a saved configuration
+export function discoveryOptions(config) {
+    return {
+        providers: config?.ipProviders,
+        consensus: config?.ipConsensus,
+        timeout: config?.ipTimeout
+    };
+}
+
+// Asks providers in order until `consensus` of them agree on an address.
+// Returns null when no provider has an address of this family, and throws
+// when providers answered but never reached agreement.
+export async function discoverIp(family, { providers = DEFAULT_PROVIDERS, consensus = 1, timeout = DEFAULT_TIMEOUT } = {}) {
+    const votes = new Map();
+    const answers = [];
+
+    for (const name of providers || DEFAULT_PROVIDERS) {
+        const lookup = PROVIDERS[name];
+        if (!lookup) {
+            throw new Error(`Unknown IP provider: ${name}`);
+        }
+
+        let ip = null;
+        try {
+            ip = await lookup(family, timeout || DEFAULT_TIMEOUT);
+        } catch {
+            continue;
+        }
+        if (ipFamily(ip) !== family) continue;
+
+        ip = family === 6 ? canonicalIpv6(ip) : ip;
+        answers.push(`${name}=${ip}`);
+        votes.set(ip, (votes.get(ip) || 0) + 1);
+        if (votes.get(ip) >= (consensus || 1)) {
+            return ip;
+        }
+    }
+
+    if (answers.length > 0) {
+        throw new Error(`No IPv${family} consensus (${consensus} needed): ${answers.join(', ')}`);
+    }
+    return null;
+}
+
+// Whether a local interface could carry traffic of this family to the
+// internet; without one, the family is known to be absent
+function hasRoutableInterface(family) {
+    return Object.values(os.networkInterfaces()).flat().some(address =>
+        address && !address.internal && ipFamily(address.address) === family &&
+        (family === 4 || isPublicAddress(address.address)));
+}
+
+// Both families are looked up at once. A family with an address, or one this
+// host has no routable interface for (null), is returned; one whose lookup
+// failed is left out, so a publish keeps the address stored for it.
+export async function discoverAddresses(options = {}) {
+    const results = await Promise.allSettled([discoverIp(4, options), discoverIp(6, options)]);
+    const [ipv4, ipv6] = results.map(result => result.status === 'fulfilled' ? result.value : null);
+    const addresses = {};
+    [[4, 'ipv4', ipv4], [6, 'ipv6', ipv6]].forEach(([family, key, ip]) => {
+        if (ip || !hasRoutableInterface(family)) addresses[key] = ip;
+    });
+
+    if (!ipv4 && !ipv6) {
+        const failures = results.filter(result => result.status === 'rejected').map(result => result.reason.message);
+        throw new Error(failures.length > 0 ? failures.join('; ') : 'No provider returned a public IPv4 or IPv6 address');
+    }
+    return addresses;
+}
@@ -0,0 +1,131 @@
+// knock.js
+// Push channel from connectors to servers. After publishing a new address a
+// connector POSTs a "knock" to each configured server; the server checks it
+// against the shared `knock.secret` and syncs right away instead of waiting
+// for its next poll. A knock carries no addresses: the server still reads
+// (and verifies) the whitelist itself.
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// Constants
+export const DEFAULT_KNOCK_PORT = 4422;
+export const MIN_SECRET_LENGTH = 16;
+const MAX_CLOCK_SKEW = 60 * 1000;
+const KNOCK_COOLDOWN = 5 * 1000;
+const KNOCK_TIMEOUT = 5000;
+
+let server = null;
+
+function knockSignature(secret, { identifier, timestamp, nonce }) {
+    return createHmac('sha256', secret).update(`${identifier}\n${timestamp}\n${nonce}`).digest('hex');
+}
+
+export function createKnock(identifier, secret) {
+    const knock = { identifier, timestamp: Date.now(), nonce: randomBytes(16).toString('hex') };
+    return { ...knock, signature: knockSignature(secret, knock) };
+}
+
+// Returns why a knock is refused, or null. `seen` holds recent nonces so a
+// captured knock cannot be replayed while its timestamp is still fresh.
+export function verifyKnock(knock, secret, seen = new Map()) {
+    const { identifier, timestamp, nonce, signature } = knock || {};
+    if (typeof identifier !== 'string' || typeof nonce !== 'string' || typeof signature !== 'string' || !Number.isFinite(timestamp)) {
+        return 'malformed knock';
+    }
+    if (Math.abs(Date.now() - timestamp) > MAX_CLOCK_SKEW) {
+        return 'knock timestamp too far from the server clock';
+    }
+
+    const expected = Buffer.from(knockSignature(secret, knock), 'hex');
+    const actual = Buffer.from(signature, 'hex');
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+        return 'bad knock signature';
+    }
+
+    for (const [seenNonce, seenAt] of seen) {
+        if (Date.now() - seenAt > MAX_CLOCK_SKEW * 2) seen.delete(seenNonce);
+    }
+    if (seen.has(nonce)) {
+        return 'replayed knock';
+    }
+    seen.set(nonce, Date.now());
+    return null;
+}
+
+// Starts the listener once per process. Accepted knocks call onKnock at most
+// once per cooldown; a knock inside the cooldown schedules one more call at
+// its end, so a burst of knocks ends in a single sync that sees all of them.
+export function startKnockListener({ port = DEFAULT_KNOCK_PORT, host = '0.0.0.0', secret, onKnock }) {
+    if (server) return server;
+    if (!secret || secret.length < MIN_SECRET_LENGTH) {
+        throw new Error(`knock.secret must be at least ${MIN_SECRET_LENGTH} characters`);
+    }
+
+    const seen = new Map();
+    let lastTrigger = 0;
+    let pending = null;
+    const trigger = () => {
+        lastTrigger = Date.now();
+        Promise.resolve().then(onKnock).catch(() => {
+            // The sync reports its own errors
+        });
+    };
+
+    try {
+        server = Bun.serve({
+            port,
+            hostname: host,
+            async fetch(request) {
+                if (request.method !== 'POST' || new URL(request.url).pathname !== '/knock') {
+                    return Response.json({ error: 'Not found' }, { status: 404 });
+                }
+                let knock;
+                try {
+                    knock = await request.json();
+                } catch {
+                    return Response.json({ error: 'malformed knock' }, { status: 400 });
+                }
+                const problem = verifyKnock(knock, secret, seen);
+                if (problem) {
+                    return Response.json({ error: problem }, { status: 403 });
+                }
+
+                const wait = lastTrigger + KNOCK_COOLDOWN - Date.now();
+                if (wait <= 0) {
+                    trigger();
+                } else if (!pending) {
+                    pending = setTimeout(() => {
+                        pending = null;
+                        trigger();
+                    }, wait);
+                }
+                return Response.json({ accepted: true }, { status: 202 });
+            }
+        });
+    } catch (error) {
+        throw new Error(`Failed to start knock listener on ${host}:${port}: ${error.message}`);
+    }
+    return server;
+}
+
+// Knocks every target URL (e.g. http://server:4422/knock) and returns the
+// ones that failed; servers that miss a knock still pick the change up by polling.
+export async function sendKnocks(targets, identifier, secret) {
+    const failures = [];
+    for (const target of targets) {
+        try {
+            const response = await fetch(target, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(createKnock(identifier, secret)),
+                signal: AbortSignal.timeout(KNOCK_TIMEOUT)
+            });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `HTTP ${response.status}`);
+            }
+        } catch (error) {
+            failures.push({ target, error: error.message });
+        }
+    }
+    return failures;
+}
@@ -0,0 +1,78 @@
+// lastgood.js
+// Last-known-good whitelist for server nodes: a copy of the whitelist the last
+// successful sync applied. While the store cannot be reached, syncs keep
+// enforcing this copy. A fetched whitelist that is invalid is never applied,
+// and one that drops more than `maxShrink` percent of the identifiers is
+// refused until someone accepts it.
+import { existsSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { CONFIG_DIR, ensureConfigDir } from './config.js';
+import { InvalidWhitelistError } from './store.js';
+import { parseWhitelist, serializeWhitelist } from './whitelist.js';
+
+// Constants
+export const LAST_GOOD_FILE = join(CONFIG_DIR, 'whitelist-last-good.json');
+export const DEFAULT_MAX_SHRINK = 50;
+
+// Thrown when a fetched whitelist lost too many identifiers at once
+export class ShrinkRefusedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShrinkRefusedError';
+    }
+}
+
+export async function loadLastGood() {
+    if (!existsSync(LAST_GOOD_FILE)) return null;
+    try {
+        const saved = JSON.parse(await readFile(LAST_GOOD_FILE, 'utf8'));
+        return { ...saved, whitelist: parseWhitelist(saved.document) };
+    } catch (error) {
+        throw new Error(`Failed to read last-known-good whitelist: ${error.message}`);
+    }
+}
+
+// Written decrypted, so readable by this user only
+export async function saveLastGood(whitelist, revision) {
+    const saved = { savedAt: new Date().toISOString(), revision, document: serializeWhitelist(whitelist) };
+    try {
+        await ensureConfigDir();
+        await writeFile(LAST_GOOD_FILE, JSON.stringify(saved, null, 2), { mode: 0o600 });
+    } catch (error) {
+        throw new Error(`Failed to save last-known-good whitelist: ${error.message}`);
+    }
+}
+
+// Reads the whitelist a server sync should apply. Returns { whitelist,
+// revision, offline }; `offline` is null, or { error, savedAt } when the store
+// was unreachable and the last-known-good copy stands in for it.
+export async function readWhitelistForSync(store, { maxShrink = DEFAULT_MAX_SHRINK, acceptShrink = false } = {}) {
+    // A damaged copy is no reason to stop syncing; the next sync replaces it
+    const lastGood = await loadLastGood().catch(() => null);
+
+    let data, revision;
+    try {
+        ({ data, revision } = await store.readVersioned());
+    } catch (error) {
+        if (error instanceof InvalidWhitelistError || !lastGood) throw error;
+        return { whitelist: lastGood.whitelist, revision: lastGood.revision, offline: { error: error.message, savedAt: lastGood.savedAt } };
+    }
+
+    if (!data && !lastGood) {
+        throw new Error(`No whitelist found in ${store.describe()}!`);
+    }
+
+    // A missing whitelist counts as an empty one
+    const whitelist = data || {};
+    if (lastGood && !acceptShrink) {
+        const before = Object.keys(lastGood.whitelist);
+        const removed = before.filter(identifier => !(identifier in whitelist));
+        if (before.length > 0 && removed.length * 100 / before.length > maxShrink) {
+            throw new ShrinkRefusedError(
+                `Whitelist lost ${removed.length} of ${before.length} identifier(s) since the last sync (${removed.join(', ')}), ` +
+                `more than the ${maxShrink}% allowed; check ${store.describe()}, then accept it with \`server sync --accept-shrink\``);
+        }
+    }
+    return { whitelist, revision, offline: null };
+}
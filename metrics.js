@@ -0,0 +1,118 @@
+// metrics.js
+// Prometheus metrics for long-running nodes (the TUI and --interval mode).
+// Values live in this process and are served in the text exposition format
+// on /metrics when `metrics.port` is configured.
+
+// Constants
+const PREFIX = 'ssh_whitelist_';
+const METRICS = {
+    last_ip_check_timestamp_seconds: { type: 'gauge', help: 'Time of the last successful public IP check' },
+    last_publish_timestamp_seconds: { type: 'gauge', help: 'Time of the last successful publish to the whitelist' },
+    ip_changes_total: { type: 'counter', help: 'Published address changes' },
+    publish_failures_total: { type: 'counter', help: 'Failed connector publishes' },
+    store_errors_total: { type: 'counter', help: 'Failed whitelist store reads and writes' },
+    github_rate_limit_remaining: { type: 'gauge', help: 'GitHub API requests left in the current window' },
+    github_rate_limit_reset_timestamp_seconds: { type: 'gauge', help: 'When the GitHub API rate limit window resets' },
+    managed_rules: { type: 'gauge', help: 'Firewall rules managed by this server after the last sync' },
+    rules_changed_total: { type: 'counter', help: 'Firewall rules added or removed' },
+    last_sync_rules_changed: { type: 'gauge', help: 'Firewall rules added or removed by the last sync' },
+    last_sync_duration_seconds: { type: 'gauge', help: 'Duration of the last server sync' },
+    last_sync_success: { type: 'gauge', help: 'Whether the last server sync succeeded (1) or failed (0)' },
+    last_sync_timestamp_seconds: { type: 'gauge', help: 'Time of the last server sync' },
+    last_successful_sync_timestamp_seconds: { type: 'gauge', help: 'Time of the last successful server sync' }
+};
+
+const values = new Map(); // metric name -> Map(label key -> { labels, value })
+let server = null;
+
+const now = () => Date.now() / 1000;
+
+function series(name, labels) {
+    if (!METRICS[name]) {
+        throw new Error(`Unknown metric: ${name}`);
+    }
+    if (!values.has(name)) values.set(name, new Map());
+    const key = JSON.stringify(labels);
+    const metric = values.get(name);
+    if (!metric.has(key)) metric.set(key, { labels, value: 0 });
+    return metric.get(key);
+}
+
+export function setMetric(name, value, labels = {}) {
+    series(name, labels).value = value;
+}
+
+export function incrementMetric(name, labels = {}, amount = 1) {
+    series(name, labels).value += amount;
+}
+
+// Connector side: a finished publish, or a failed one
+export function recordPublish({ success, changed = false }) {
+    if (!success) {
+        incrementMetric('publish_failures_total');
+        return;
+    }
+    setMetric('last_ip_check_timestamp_seconds', now());
+    setMetric('last_publish_timestamp_seconds', now());
+    if (changed) incrementMetric('ip_changes_total');
+}
+
+// Server side: the rules a sync planned, then how the sync ended
+export function recordPlan(plan) {
+    setMetric('managed_rules', plan.add.length + plan.unchanged.length + (plan.held?.length || 0));
+    setMetric('last_sync_rules_changed', plan.add.length, { action: 'add' });
+    setMetric('last_sync_rules_changed', plan.remove.length, { action: 'remove' });
+}
+
+export function recordSync({ success, duration = null }) {
+    setMetric('last_sync_timestamp_seconds', now());
+    setMetric('last_sync_success', success ? 1 : 0);
+    if (duration !== null) setMetric('last_sync_duration_seconds', duration);
+    if (success) setMetric('last_successful_sync_timestamp_seconds', now());
+}
+
+export function recordRateLimit(headers) {
+    const remaining = headers?.['x-ratelimit-remaining'];
+    const reset = headers?.['x-ratelimit-reset'];
+    if (remaining !== undefined) setMetric('github_rate_limit_remaining', Number(remaining));
+    if (reset !== undefined) setMetric('github_rate_limit_reset_timestamp_seconds', Number(reset));
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, '\\$&')}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+export function renderMetrics() {
+    const lines = [];
+    for (const [name, { type, help }] of Object.entries(METRICS)) {
+        if (!values.has(name)) continue;
+        lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`);
+        for (const { labels, value } of values.get(name).values()) {
+            lines.push(`${PREFIX}${name}${formatLabels(labels)} ${value}`);
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Starts the endpoint once per process; later calls return the running server
+export function startMetricsServer({ port, host = '127.0.0.1' }) {
+    if (server) return server;
+    try {
+        server = Bun.serve({
+            port,
+            hostname: host,
+            fetch(request) {
+                if (new URL(request.url).pathname !== '/metrics') {
+                    return new Response('Not found\n', { status: 404 });
+                }
+                return new Response(renderMetrics(), {
+                    headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }
+                });
+            }
+        });
+    } catch (error) {
+        throw new Error(`Failed to start metrics endpoint on ${host}:${port}: ${error.message}`);
+    }
+    return server;
+}
@@ -0,0 +1,86 @@
+// netwatch.js
+// Tells a connector as soon as its public address may have changed: Linux
+// `ip monitor` reports address and route changes, and a long gap in a short
+// wall-clock timer means the machine was suspended. Bursts of events are
+// debounced into one callback. The node's regular timer keeps running, so
+// systems without `ip` still publish on schedule.
+import { $ } from 'bun';
+
+// Constants
+export const DEFAULT_DEBOUNCE = 3;
+const RESUME_CHECK_INTERVAL = 15 * 1000;
+const RESUME_THRESHOLD = 30 * 1000;
+
+// Global addresses and default routes, without the lifetimes the kernel
+// refreshes all the time; a change here can move the public address
+async function networkFingerprint() {
+    const output = await Promise.all([
+        $`ip -o address show scope global`.quiet().nothrow().text(),
+        $`ip -4 route show default`.quiet().nothrow().text(),
+        $`ip -6 route show default`.quiet().nothrow().text()
+    ]);
+    return output.join('\n')
+        .replace(/\b(valid_lft|preferred_lft|expires) \S+/g, '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .sort()
+        .join('\n');
+}
+
+// Calls onChange('network') when the addresses or default routes changed, and
+// onChange('resume') after a suspend. Returns the event sources in use and a
+// stop() function.
+export async function watchNetwork(onChange, { debounce = DEFAULT_DEBOUNCE } = {}) {
+    const sources = [];
+    let fingerprint = await networkFingerprint();
+    let pendingReason = null;
+    let debounceTimer = null;
+
+    const schedule = reason => {
+        // A resume is reported even when the network looks the same afterwards
+        if (pendingReason !== 'resume') pendingReason = reason;
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(async () => {
+            const reason = pendingReason;
+            pendingReason = null;
+            const current = await networkFingerprint();
+            const changed = current !== fingerprint;
+            fingerprint = current;
+            if (changed || reason === 'resume') {
+                Promise.resolve().then(() => onChange(reason)).catch(() => {
+                    // The update reports its own errors
+                });
+            }
+        }, debounce * 1000);
+    };
+
+    let monitor = null;
+    if (Bun.which('ip')) {
+        monitor = Bun.spawn(['ip', 'monitor', 'address', 'route'], { stdout: 'pipe', stderr: 'ignore' });
+        sources.push('ip monitor');
+        (async () => {
+            for await (const chunk of monitor.stdout) {
+                if (chunk.length > 0) schedule('network');
+            }
+        })().catch(() => {});
+    }
+
+    let lastTick = Date.now();
+    const resumeTimer = setInterval(() => {
+        const now = Date.now();
+        if (now - lastTick > RESUME_CHECK_INTERVAL + RESUME_THRESHOLD) {
+            schedule('resume');
+        }
+        lastTick = now;
+    }, RESUME_CHECK_INTERVAL);
+    sources.push('resume detection');
+
+    const stop = () => {
+        clearTimeout(debounceTimer);
+        clearInterval(resumeTimer);
+        monitor?.kill();
+    };
+    process.on('exit', stop);
+    return { sources, stop };
+}
@@ -0,0 +1,119 @@
+// notify.js
+// Notifications about IP changes and sync problems, sent to syslog/journald
+// (through logger) and to webhooks with Slack, Discord or Matrix payloads.
+// Failures that repeat on every run are held back for `rateLimit` seconds;
+// the next one that goes out says how many were suppressed. Every IP change
+// and rule change is sent.
+import { $ } from 'bun';
+import os from 'os';
+import { join } from 'path';
+import { readFile, writeFile } from 'fs/promises';
+import { CONFIG_DIR, ensureConfigDir } from './config.js';
+
+// Constants
+export const NOTIFY_EVENTS = {
+    'ip-changed': 'A connector published a new address',
+    'publish-failed': 'A connector could not publish its address',
+    'rules-changed': 'A server sync added or removed firewall rules',
+    'sync-failed': 'A server sync failed',
+    'sync-reverted': 'A sync was reverted because nobody confirmed it'
+};
+export const WEBHOOK_FORMATS = ['slack', 'discord', 'matrix', 'json'];
+export const DEFAULT_RATE_LIMIT = 300;
+export const RATE_LIMITED_EVENTS = ['publish-failed', 'sync-failed'];
+const STATE_FILE = join(CONFIG_DIR, 'notify-state.json');
+const WEBHOOK_TIMEOUT = 10000;
+const SYSLOG_PRIORITIES = {
+    'publish-failed': 'user.err',
+    'sync-failed': 'user.err',
+    'sync-reverted': 'user.warning'
+};
+
+// Slack and Discord incoming webhooks, and Matrix hookshot generic webhooks
+function webhookPayload(format, { event, text, host, time, details }) {
+    switch (format) {
+        case 'slack':
+            return { text };
+        case 'discord':
+            return { content: text };
+        case 'matrix':
+            return { msgtype: 'm.notice', body: text, text };
+        default:
+            return { event, text, host, time, details };
+    }
+}
+
+async function sendWebhook(webhook, notification) {
+    const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(webhookPayload(webhook.format, notification)),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
+async function sendSyslog(notification) {
+    const priority = SYSLOG_PRIORITIES[notification.event] || 'user.notice';
+    await $`logger -t ssh-whitelist -p ${priority} ${notification.text}`.quiet();
+}
+
+// An empty or missing event list means every event
+function wantsEvent(events, event) {
+    return !events?.length || events.includes(event);
+}
+
+async function loadState() {
+    try {
+        return JSON.parse(await readFile(STATE_FILE, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+async function saveState(state) {
+    await ensureConfigDir();
+    await writeFile(STATE_FILE, JSON.stringify(state, null, 2));
+}
+
+// Sends `text` for `event` to every destination in `settings` (the saved
+// `notifications` section). `key` separates rate limits within an event, e.g.
+// per identifier. Returns the destinations that failed; it never throws, so a
+// broken webhook cannot fail a sync.
+export async function notify(settings, event, text, { key = '', details = {}, force = false } = {}) {
+    if (!settings || !wantsEvent(settings.events, event)) return [];
+    const webhooks = (settings.webhooks || []).filter(webhook => wantsEvent(webhook.events, event));
+    if (!settings.syslog && webhooks.length === 0) return [];
+
+    const failures = [];
+    try {
+        const state = await loadState();
+        const stateKey = `${event}|${key}`;
+        const previous = state[stateKey] || { sentAt: 0, suppressed: 0 };
+        const rateLimit = settings.rateLimit ?? DEFAULT_RATE_LIMIT;
+        if (!force && RATE_LIMITED_EVENTS.includes(event) && Date.now() - previous.sentAt < rateLimit * 1000) {
+            state[stateKey] = { ...previous, suppressed: previous.suppressed + 1 };
+            await saveState(state);
+            return [];
+        }
+
+        const host = os.hostname();
+        const suppressed = previous.suppressed ? ` (${previous.suppressed} similar notification(s) suppressed)` : '';
+        const notification = { event, text: `[${host}] ${text}${suppressed}`, host, time: new Date().toISOString(), details };
+
+        if (settings.syslog) {
+            await sendSyslog(notification).catch(error => failures.push({ destination: 'syslog', error: error.message }));
+        }
+        for (const webhook of webhooks) {
+            await sendWebhook(webhook, notification).catch(error => failures.push({ destination: webhook.url, error: error.message }));
+        }
+
+        state[stateKey] = { sentAt: Date.now(), suppressed: 0 };
+        await saveState(state);
+    } catch (error) {
+        failures.push({ destination: 'notifications', error: error.message });
+    }
+    return failures;
+}
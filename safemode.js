@@ -0,0 +1,99 @@
+// safemode.js
+// Keeps a sync from locking out the administrator: finds the addresses of
+// live SSH sessions, and applies changes on probation, restoring the previous
+// rules unless the change is confirmed in time (like iptables-apply).
+import { $ } from 'bun';
+import { existsSync } from 'fs';
+import { readFile, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { CONFIG_DIR, ensureConfigDir } from './config.js';
+import { applyPlan, planRules, protectSessions } from './sync.js';
+import { ipFamily } from './whitelist.js';
+
+// Constants
+export const DEFAULT_CONFIRM_TIMEOUT = 60;
+const PENDING_FILE = join(CONFIG_DIR, 'sync.pending');
+const CONFIRM_FILE = join(CONFIG_DIR, 'sync.confirm');
+const POLL_INTERVAL = 1000;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// "[2001:db8::1]:22", "::ffff:192.0.2.1" and "fe80::1%eth0" all name a plain address
+function normalizeAddress(address) {
+    const ip = address
+        .replace(/^\[|\]$/g, '')
+        .replace(/%.*$/, '')
+        .replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '')
+        .toLowerCase();
+    return ipFamily(ip) ? ip : null;
+}
+
+// Source addresses of established connections to the SSH port, plus the
+// session this command runs in
+export async function detectSessionAddresses(sshPort = 22) {
+    const addresses = new Set();
+
+    const [client] = (process.env.SSH_CONNECTION || process.env.SSH_CLIENT || '').split(' ');
+    if (client && normalizeAddress(client)) {
+        addresses.add(normalizeAddress(client));
+    }
+
+    const result = await $`ss -Htn state established ${`( sport = :${sshPort} )`}`.quiet().nothrow();
+    for (const line of result.stdout.toString().split('\n')) {
+        const peer = line.trim().split(/\s+/)[3];
+        const ip = peer && normalizeAddress(peer.replace(/:\d+$/, ''));
+        if (ip) addresses.add(ip);
+    }
+    return [...addresses];
+}
+
+// Brings the managed rules back to an earlier list of rules, still holding
+// on to rules for the given session addresses
+export async function restoreRules(target, rules, { sessionAddresses = [], sshPort = null, reason = 'restore' } = {}) {
+    const plan = protectSessions(planRules(await target.listManagedRules(), rules), sessionAddresses, sshPort);
+    return { plan, errors: await applyPlan(target, plan, () => {}, { reason }) };
+}
+
+// Waits up to `seconds` for `server confirm` from another session or Enter on
+// this terminal. Confirming from a fresh login also proves new connections get in.
+export async function waitForConfirmation(seconds, onTick = () => {}) {
+    await ensureConfigDir();
+    await unlink(CONFIRM_FILE).catch(() => {});
+    await writeFile(PENDING_FILE, JSON.stringify({ pid: process.pid, deadline: Date.now() + seconds * 1000 }));
+
+    let entered = false;
+    const onInput = () => { entered = true; };
+    if (process.stdin.isTTY) {
+        process.stdin.on('data', onInput);
+        process.stdin.resume();
+    }
+
+    try {
+        const deadline = Date.now() + seconds * 1000;
+        while (Date.now() < deadline) {
+            if (entered || existsSync(CONFIRM_FILE)) return true;
+            await onTick(Math.ceil((deadline - Date.now()) / 1000));
+            await delay(POLL_INTERVAL);
+        }
+        return false;
+    } finally {
+        if (process.stdin.isTTY) {
+            process.stdin.off('data', onInput);
+            process.stdin.pause();
+        }
+        await unlink(PENDING_FILE).catch(() => {});
+        await unlink(CONFIRM_FILE).catch(() => {});
+    }
+}
+
+// Confirms the sync waiting in waitForConfirmation(), if there is one
+export async function confirmPendingSync() {
+    try {
+        const { deadline } = JSON.parse(await readFile(PENDING_FILE, 'utf8'));
+        if (deadline < Date.now()) return false;
+    } catch {
+        return false;
+    }
+    await writeFile(CONFIRM_FILE, new Date().toISOString());
+    return true;
+}
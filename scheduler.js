@@ -0,0 +1,112 @@
+// scheduler.js
+// Runs a node's periodic update. After a failure the next run waits twice as
+// long as the one before (with jitter, capped), and never before the time a
+// rate-limited store asked for; the first success returns to the normal
+// interval. Early runs (refresh key, knocks, network changes) go through
+// run() and reset the schedule like any other run.
+import { storeRetryAt } from './store.js';
+
+// Constants
+export const MAX_BACKOFF = 60 * 60 * 1000;
+const JITTER = 0.2;
+
+// Rejects a run while the store is rate limited; the next run waits for retryAt
+export class RateLimitedError extends Error {
+    constructor(retryAt) {
+        super(`Store is rate limited, next update at ${retryAt.toLocaleTimeString()}`);
+        this.name = 'RateLimitedError';
+        this.retryAt = retryAt;
+    }
+}
+
+export class Scheduler {
+    constructor(task, { interval, maxBackoff = MAX_BACKOFF, onChange = () => {} }) {
+        this.task = task;
+        this.interval = interval;
+        this.maxBackoff = Math.max(maxBackoff, interval);
+        this.onChange = onChange;
+        this.failures = 0;
+        this.lastError = null;
+        this.nextRunAt = null;
+        this.retryAt = null;
+        this.timer = null;
+        this.running = null;
+        this.queued = null;
+        this.stopped = false;
+    }
+
+    state() {
+        return {
+            failures: this.failures,
+            lastError: this.lastError?.message || null,
+            nextRunAt: this.nextRunAt,
+            retryAt: this.retryAt
+        };
+    }
+
+    // Runs the task now. Calls during a run queue one more run after it, since
+    // they may bring a change the current run has missed; all of them share it.
+    // Rejects when the task fails, and with RateLimitedError while the store
+    // is rate limited.
+    run() {
+        if (this.running) {
+            this.queued ||= this.running.catch(() => {}).then(() => {
+                this.queued = null;
+                return this.stopped ? undefined : this.run();
+            });
+            return this.queued;
+        }
+        this.running = this.execute().finally(() => { this.running = null; });
+        return this.running;
+    }
+
+    async execute() {
+        clearTimeout(this.timer);
+
+        // Running early would only spend more of an exhausted rate limit
+        const retryAt = storeRetryAt();
+        if (retryAt) {
+            this.schedule(retryAt - Date.now());
+            throw new RateLimitedError(retryAt);
+        }
+
+        try {
+            const result = await this.task();
+            this.failures = 0;
+            this.lastError = null;
+            this.schedule(this.interval);
+            return result;
+        } catch (error) {
+            this.failures++;
+            this.lastError = error;
+            this.schedule(this.backoffDelay());
+            throw error;
+        }
+    }
+
+    // interval * 2^failures, +/- 20% so nodes that failed together spread out
+    backoffDelay() {
+        const exponential = Math.min(this.interval * 2 ** this.failures, this.maxBackoff);
+        const jittered = exponential * (1 - JITTER + Math.random() * JITTER * 2);
+        const retryAt = storeRetryAt();
+        return Math.max(jittered, retryAt ? retryAt - Date.now() : 0);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        if (this.stopped) return;
+        this.retryAt = storeRetryAt();
+        this.nextRunAt = new Date(Date.now() + delay);
+        this.timer = setTimeout(() => this.run().catch(() => {
+            // Failures are reported by the task and through onChange
+        }), delay);
+        this.onChange(this.state());
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+    }
+}
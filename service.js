@@ -0,0 +1,143 @@
+// service.js
+// Generates and manages systemd units that run the headless sync in the background
+import { $ } from 'bun';
+import os from 'os';
+import { join } from 'path';
+import { writeFile, unlink } from 'fs/promises';
+import { CONFIG_DIR, ensureConfigDir } from './config.js';
+
+// Constants
+const UNIT_DIR = '/etc/systemd/system';
+const NODE_COMMANDS = {
+    connector: 'connector push',
+    server: 'server sync'
+};
+
+export function unitNames(nodeType) {
+    const base = `ssh-whitelist-${nodeType}`;
+    return { service: `${base}.service`, timer: `${base}.timer` };
+}
+
+function buildExecStart(nodeType, { timer, intervalMinutes }) {
+    const command = `${process.execPath} ${join(import.meta.dir, 'index.js')} ${NODE_COMMANDS[nodeType]}`;
+    // Without a timer the service stays up and repeats the sync itself
+    return timer ? command : `${command} --interval ${intervalMinutes * 60}`;
+}
+
+export function buildServiceUnit(nodeType, { timer = true, intervalMinutes = 5 } = {}) {
+    const lines = [
+        '[Unit]',
+        `Description=SSH Whitelist ${nodeType} node`,
+        'Wants=network-online.target',
+        'After=network-online.target',
+        '',
+        '[Service]',
+        timer ? 'Type=oneshot' : 'Type=simple',
+        `User=${os.userInfo().username}`,
+        `Environment=HOME=${os.homedir()}`,
+        `WorkingDirectory=${import.meta.dir}`,
+        `ExecStart=${buildExecStart(nodeType, { timer, intervalMinutes })}`
+    ];
+
+    if (!timer) {
+        lines.push('Restart=on-failure', 'RestartSec=30', '', '[Install]', 'WantedBy=multi-user.target');
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function buildTimerUnit(nodeType, { intervalMinutes = 5 } = {}) {
+    return [
+        '[Unit]',
+        `Description=Run the SSH Whitelist ${nodeType} sync every ${intervalMinutes} minutes`,
+        '',
+        '[Timer]',
+        'OnBootSec=1min',
+        `OnUnitActiveSec=${intervalMinutes}min`,
+        'Persistent=true',
+        '',
+        '[Install]',
+        'WantedBy=timers.target'
+    ].join('\n') + '\n';
+}
+
+async function installUnit(name, content) {
+    await ensureConfigDir();
+    const staged = join(CONFIG_DIR, name);
+    await writeFile(staged, content);
+    try {
+        await $`sudo install -m 644 ${staged} ${join(UNIT_DIR, name)}`;
+    } finally {
+        await unlink(staged);
+    }
+}
+
+export async function installService(nodeType, { timer = true, intervalMinutes = 5 } = {}) {
+    if (!NODE_COMMANDS[nodeType]) {
+        throw new Error(`Unknown node type: ${nodeType}`);
+    }
+
+    const units = unitNames(nodeType);
+    try {
+        // Switching modes: the long-running service or the timer of the other mode has to go
+        if (timer) {
+            await $`sudo systemctl disable --now ${units.service}`.quiet().nothrow();
+        } else {
+            await $`sudo systemctl disable --now ${units.timer}`.quiet().nothrow();
+            await $`sudo rm -f ${join(UNIT_DIR, units.timer)}`;
+        }
+
+        await installUnit(units.service, buildServiceUnit(nodeType, { timer, intervalMinutes }));
+        if (timer) {
+            await installUnit(units.timer, buildTimerUnit(nodeType, { intervalMinutes }));
+        }
+
+        await $`sudo systemctl daemon-reload`;
+        await $`sudo systemctl enable --now ${timer ? units.timer : units.service}`;
+    } catch (error) {
+        throw new Error(`Failed to install service: ${error.message}`);
+    }
+    return units;
+}
+
+export async function uninstallService(nodeType) {
+    const units = unitNames(nodeType);
+    try {
+        for (const unit of [units.timer, units.service]) {
+            await $`sudo systemctl disable --now ${unit}`.quiet().nothrow();
+            await $`sudo rm -f ${join(UNIT_DIR, unit)}`;
+        }
+        await $`sudo systemctl daemon-reload`;
+    } catch (error) {
+        throw new Error(`Failed to uninstall service: ${error.message}`);
+    }
+    return units;
+}
+
+async function showUnit(unit) {
+    const result = await $`systemctl show ${unit} -p LoadState -p ActiveState -p SubState -p Result -p ExecMainExitTimestamp -p NextElapseUSecRealtime`.quiet().nothrow();
+    const properties = {};
+    for (const line of result.stdout.toString().split('\n')) {
+        const [key, ...value] = line.split('=');
+        if (key) properties[key] = value.join('=');
+    }
+    return properties;
+}
+
+// Reports whether the units are installed and active, and how the last run went
+export async function getServiceStatus(nodeType) {
+    const units = unitNames(nodeType);
+    const service = await showUnit(units.service);
+    const timer = await showUnit(units.timer);
+    const hasTimer = timer.LoadState === 'loaded';
+
+    return {
+        units,
+        installed: service.LoadState === 'loaded',
+        mode: hasTimer ? 'timer' : 'service',
+        active: hasTimer ? timer.ActiveState === 'active' : service.ActiveState === 'active',
+        state: `${service.ActiveState || 'unknown'} (${service.SubState || 'unknown'})`,
+        lastResult: service.Result || null,
+        lastExit: service.ExecMainExitTimestamp || null,
+        nextRun: hasTimer ? timer.NextElapseUSecRealtime || null : null
+    };
+}
@@ -0,0 +1,187 @@
+// signing.js
+// Ed25519 signatures over whitelist entries. Connectors sign the entry they
+// publish; server nodes with trusted keys configured only accept entries
+// signed by one of them. Public keys use the OpenSSH one-line format.
+import { createPrivateKey, createPublicKey, generateKeyPairSync, sign, verify } from 'crypto';
+import { existsSync } from 'fs';
+import { readFile, writeFile } from 'fs/promises';
+import os from 'os';
+import { join } from 'path';
+import { CONFIG_DIR, ensureConfigDir } from './config.js';
+import { normalizeEntry } from './whitelist.js';
+
+// Constants
+export const DEFAULT_KEY_FILE = join(CONFIG_DIR, 'signing_key');
+const KEY_TYPE = 'ssh-ed25519';
+const OPENSSH_MAGIC = 'openssh-key-v1\0';
+
+// Reads the length-prefixed strings used by the SSH wire format
+function sshReader(buffer) {
+    let offset = 0;
+    return {
+        uint32() {
+            const value = buffer.readUInt32BE(offset);
+            offset += 4;
+            return value;
+        },
+        string() {
+            const length = this.uint32();
+            const value = buffer.subarray(offset, offset + length);
+            offset += length;
+            return value;
+        }
+    };
+}
+
+function sshString(value) {
+    const data = Buffer.from(value);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    return Buffer.concat([length, data]);
+}
+
+function ed25519Key(publicBytes, seed = null) {
+    const jwk = { kty: 'OKP', crv: 'Ed25519', x: publicBytes.toString('base64url') };
+    if (seed) {
+        return createPrivateKey({ key: { ...jwk, d: seed.toString('base64url') }, format: 'jwk' });
+    }
+    return createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Parses an "ssh-ed25519 AAAA... comment" line into a public key
+export function parsePublicKey(line) {
+    const [type, blob, ...comment] = line.trim().split(/\s+/);
+    if (type !== KEY_TYPE || !blob) {
+        throw new Error(`Not an ${KEY_TYPE} public key`);
+    }
+
+    const reader = sshReader(Buffer.from(blob, 'base64'));
+    if (reader.string().toString() !== KEY_TYPE) {
+        throw new Error('Public key type does not match its data');
+    }
+    const publicBytes = reader.string();
+    if (publicBytes.length !== 32) {
+        throw new Error('Invalid Ed25519 public key length');
+    }
+    return { key: ed25519Key(publicBytes), comment: comment.join(' ') };
+}
+
+export function formatPublicKey(key, comment = '') {
+    const publicBytes = Buffer.from(createPublicKey(key).export({ format: 'jwk' }).x, 'base64url');
+    const blob = Buffer.concat([sshString(KEY_TYPE), sshString(publicBytes)]).toString('base64');
+    return `${KEY_TYPE} ${blob}${comment ? ` ${comment}` : ''}`;
+}
+
+// Unencrypted OpenSSH private keys (e.g. ~/.ssh/id_ed25519) can be reused directly
+function parseOpenSshPrivateKey(text) {
+    const body = text.replace(/-----[^-]+-----/g, '').replace(/\s+/g, '');
+    const data = Buffer.from(body, 'base64');
+    if (data.subarray(0, OPENSSH_MAGIC.length).toString() !== OPENSSH_MAGIC) {
+        throw new Error('Not an OpenSSH private key');
+    }
+
+    const reader = sshReader(data.subarray(OPENSSH_MAGIC.length));
+    const cipher = reader.string().toString();
+    reader.string(); // kdf name
+    reader.string(); // kdf options
+    if (cipher !== 'none') {
+        throw new Error('Passphrase-protected SSH keys are not supported, use an unencrypted key');
+    }
+    if (reader.uint32() !== 1) {
+        throw new Error('SSH key files with several keys are not supported');
+    }
+    reader.string(); // public key
+
+    const section = sshReader(reader.string());
+    section.uint32(); // check bytes
+    section.uint32();
+    if (section.string().toString() !== KEY_TYPE) {
+        throw new Error(`Only ${KEY_TYPE} SSH keys can sign whitelist entries`);
+    }
+    const publicBytes = section.string();
+    const secret = section.string(); // 32-byte seed followed by the public key
+    return ed25519Key(publicBytes, secret.subarray(0, 32));
+}
+
+// Loads the connector's signing key. The default key is generated on first use;
+// a configured path may point at a PEM key or an OpenSSH Ed25519 key.
+export async function loadSigningKey(path = DEFAULT_KEY_FILE) {
+    const keyPath = path || DEFAULT_KEY_FILE;
+
+    if (!existsSync(keyPath)) {
+        if (keyPath !== DEFAULT_KEY_FILE) {
+            throw new Error(`Signing key not found: ${keyPath}`);
+        }
+        await ensureConfigDir();
+        const { privateKey } = generateKeyPairSync('ed25519');
+        await writeFile(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+        await writeFile(`${keyPath}.pub`, `${formatPublicKey(privateKey, `ssh-whitelist@${os.hostname()}`)}\n`);
+        return privateKey;
+    }
+
+    try {
+        const text = await readFile(keyPath, 'utf8');
+        return text.includes('OPENSSH PRIVATE KEY') ? parseOpenSshPrivateKey(text) : createPrivateKey(text);
+    } catch (error) {
+        throw new Error(`Failed to load signing key: ${error.message}`);
+    }
+}
+
+// The signature covers the identifier, both addresses, the heartbeat, TTL,
+// ports, groups, servers, tags and signing time. Without a trusted key an entry
+// cannot be moved to another identifier, kept alive, or given other addresses,
+// ports or scope; only `owner` is left unsigned.
+function signedPayload(identifier, entry, signedAt) {
+    const { ipv4, ipv6 } = normalizeEntry(entry);
+    const metadata = ['ports', 'groups', 'servers', 'tags'].map(field => entry[field] ?? null);
+    return Buffer.from(JSON.stringify([identifier, ipv4, ipv6, entry.updatedAt ?? null, entry.ttl ?? null, ...metadata, signedAt]));
+}
+
+export function signEntry(identifier, entry, privateKey) {
+    const signedAt = new Date().toISOString();
+    const signature = sign(null, signedPayload(identifier, entry, signedAt), privateKey);
+    return { ...entry, signedAt, signature: signature.toString('base64') };
+}
+
+// Returns why an entry is not trusted, or null when a trusted key signed it
+export function verifyEntry(identifier, entry, trustedKeys) {
+    if (typeof entry !== 'object' || !entry?.signature || !entry.signedAt) {
+        return 'unsigned entry';
+    }
+
+    const payload = signedPayload(identifier, entry, entry.signedAt);
+    const signature = Buffer.from(entry.signature, 'base64');
+    const trusted = trustedKeys.some(({ key }) => {
+        try {
+            return verify(null, payload, key, signature);
+        } catch {
+            return false;
+        }
+    });
+    return trusted ? null : 'signature does not match any trusted key';
+}
+
+export function parseTrustedKeys(lines = []) {
+    return (lines || []).map(line => parsePublicKey(line));
+}
+
+// Splits a whitelist into the entries to act on and the rejected ones.
+// Without trusted keys, verification is off and every entry is kept.
+export function filterTrustedEntries(whitelist, trustedKeyLines = []) {
+    const trustedKeys = parseTrustedKeys(trustedKeyLines);
+    if (trustedKeys.length === 0) {
+        return { whitelist, rejected: [] };
+    }
+
+    const trusted = {};
+    const rejected = [];
+    for (const [identifier, entry] of Object.entries(whitelist)) {
+        const reason = verifyEntry(identifier, entry, trustedKeys);
+        if (reason) {
+            rejected.push({ identifier, reason });
+        } else {
+            trusted[identifier] = entry;
+        }
+    }
+    return { whitelist: trusted, rejected };
+}
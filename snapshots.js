@@ -0,0 +1,94 @@
+// snapshots.js
+// Copies of the tool-owned firewall rules, taken before every sync,
+// so any earlier state can be listed and restored. Only the newest
+// `retention` snapshots are kept, and a snapshot of rules that did not
+// change since the latest one is not written again.
+import { existsSync } from 'fs';
+import { mkdir, readdir, readFile, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { CONFIG_DIR } from './config.js';
+
+// Constants
+export const SNAPSHOT_DIR = join(CONFIG_DIR, 'snapshots');
+export const DEFAULT_SNAPSHOT_RETENTION = 50;
+
+// IDs are the creation time, so they sort chronologically
+function snapshotId(date) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+const ruleSet = rules => rules.map(rule => `${rule.ip}|${rule.port}|${rule.proto}`).sort().join(',');
+
+async function snapshotIds() {
+    if (!existsSync(SNAPSHOT_DIR)) return [];
+    const files = await readdir(SNAPSHOT_DIR);
+    return files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)).sort();
+}
+
+// Returns the new snapshot, or the latest one when it holds the same rules
+export async function takeSnapshot(target, { firewall, port, reason = 'sync', retention = DEFAULT_SNAPSHOT_RETENTION } = {}) {
+    const rules = await target.listManagedRules();
+    const [latestId] = (await snapshotIds()).slice(-1);
+    const latest = latestId ? await loadSnapshot(latestId).catch(() => null) : null;
+    if (latest && latest.firewall === firewall && latest.port === port && ruleSet(latest.rules) === ruleSet(rules)) {
+        return latest;
+    }
+
+    const createdAt = new Date();
+    const snapshot = {
+        id: snapshotId(createdAt),
+        createdAt: createdAt.toISOString(),
+        firewall,
+        port,
+        reason,
+        rules
+    };
+
+    try {
+        await mkdir(SNAPSHOT_DIR, { recursive: true });
+        await writeFile(join(SNAPSHOT_DIR, `${snapshot.id}.json`), JSON.stringify(snapshot, null, 2));
+    } catch (error) {
+        throw new Error(`Failed to save firewall snapshot: ${error.message}`);
+    }
+    await pruneSnapshots(retention);
+    return snapshot;
+}
+
+// Newest first, without the rules themselves
+export async function listSnapshots() {
+    const snapshots = [];
+    for (const id of (await snapshotIds()).reverse()) {
+        const { rules, ...summary } = await loadSnapshot(id);
+        snapshots.push({ ...summary, ruleCount: rules.length });
+    }
+    return snapshots;
+}
+
+// Accepts a full ID, a unique prefix of one, or "latest"
+export async function loadSnapshot(reference) {
+    const ids = await snapshotIds();
+    const matches = reference === 'latest' ? ids.slice(-1) : ids.filter(id => id.startsWith(reference));
+    if (matches.length === 0) {
+        throw new Error(`No snapshot matches ${reference}`);
+    }
+    if (matches.length > 1 && !matches.includes(reference)) {
+        throw new Error(`${reference} matches ${matches.length} snapshots, use a longer ID`);
+    }
+
+    const id = matches.includes(reference) ? reference : matches[0];
+    try {
+        return JSON.parse(await readFile(join(SNAPSHOT_DIR, `${id}.json`), 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read snapshot ${id}: ${error.message}`);
+    }
+}
+
+// Deletes all but the newest `retention` snapshots and returns how many went
+export async function pruneSnapshots(retention = DEFAULT_SNAPSHOT_RETENTION) {
+    const ids = await snapshotIds();
+    const stale = ids.slice(0, Math.max(0, ids.length - retention));
+    for (const id of stale) {
+        await unlink(join(SNAPSHOT_DIR, `${id}.json`)).catch(() => {});
+    }
+    return stale.length;
+}
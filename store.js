@@ -0,0 +1,786 @@
+// store.js
+// Whitelist storage backends. Every store reads and writes the whole
+// whitelist; read() returns null when nothing has been stored yet.
+// Backends move raw documents, which are validated against the schema on
+// every read and always written in the current version.
+// Writes are versioned: writeVersioned() only succeeds when the stored
+// whitelist is still at the revision it was read at. With an encryption key
+// set, documents are encrypted before they reach the backend.
+// Gist and HTTP reads are conditional (If-None-Match), so polling an
+// unchanged whitelist costs a 304 and no GitHub rate limit.
+import { Octokit } from '@octokit/rest';
+import { S3Client } from 'bun';
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { mkdir, readFile, rename, writeFile, access, open, stat, unlink } from 'fs/promises';
+import { dirname } from 'path';
+import { decryptDocument, encryptDocument } from './encryption.js';
+import { incrementMetric, recordRateLimit } from './metrics.js';
+import { ENTRY_METADATA, parseWhitelist, serializeWhitelist } from './whitelist.js';
+
+// Constants
+const GIST_FILENAME = 'config.json';
+const GIST_DESCRIPTION = 'SSH Whitelist IPs - Managed by SSH Whitelist Manager';
+const MAX_WRITE_ATTEMPTS = 5;
+const RETRY_DELAY = 250;
+const STALE_LOCK_AGE = 30 * 1000;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let retryAt = 0; // When a rate-limited store said to try again
+
+// GitHub sends Retry-After for secondary rate limits, and an exhausted
+// X-RateLimit-Remaining with X-RateLimit-Reset for the primary one.
+// Other HTTP stores may answer 429 or 503 with Retry-After.
+function recordRetryAfter(status, header) {
+    if (![403, 429, 503].includes(status)) return;
+    const retryAfter = header('retry-after');
+    let until = 0;
+    if (retryAfter) {
+        until = /^\d+$/.test(retryAfter) ? Date.now() + Number(retryAfter) * 1000 : Date.parse(retryAfter) || 0;
+    } else if (header('x-ratelimit-remaining') === '0' && header('x-ratelimit-reset')) {
+        until = Number(header('x-ratelimit-reset')) * 1000;
+    }
+    retryAt = Math.max(retryAt, until);
+}
+
+// Null unless a store is still asking us to wait
+export function storeRetryAt() {
+    return retryAt > Date.now() ? new Date(retryAt) : null;
+}
+
+export const STORE_TYPES = {
+    gist: { label: 'GitHub Gist' },
+    file: { label: 'Local or shared file' },
+    s3: { label: 'S3-compatible object store' },
+    http: { label: 'HTTPS endpoint' }
+};
+
+// Thrown when the whitelist changed between reading and writing it
+export class WriteConflictError extends Error {
+    constructor(message = 'Whitelist was changed by another writer') {
+        super(message);
+        this.name = 'WriteConflictError';
+    }
+}
+
+// Thrown when the store answered, but with something that is not a valid
+// whitelist (bad JSON, failed schema check, wrong encryption key). Anything
+// else a read throws means the store could not be reached.
+export class InvalidWhitelistError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidWhitelistError';
+    }
+}
+
+function parseDocument(text, source) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new InvalidWhitelistError(`${source} is not valid JSON: ${error.message}`);
+    }
+}
+
+export class GistManager {
+    constructor(token) {
+        this.octokit = new Octokit({
+            auth: token,
+            // Octokit logs every 304 as an error; they answer conditional requests
+            log: {
+                debug: () => {},
+                info: () => {},
+                warn: console.warn,
+                error: message => {
+                    if (!/ - 304 /.test(message)) console.error(message);
+                }
+            }
+        });
+        this.gists = new Map(); // gist ID -> { etag, data } of the last full fetch
+        this.contents = new Map(); // raw URL -> parsed content; raw URLs name the revision
+        // Every API response carries the remaining rate limit
+        this.octokit.hook.after('request', response => recordRateLimit(response.headers));
+        this.octokit.hook.error('request', error => {
+            recordRateLimit(error.response?.headers);
+            recordRetryAfter(error.status, name => error.response?.headers?.[name]);
+            throw error;
+        });
+    }
+
+    async validateToken() {
+        try {
+            await this.octokit.rest.users.getAuthenticated();
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async createGist(content) {
+        try {
+            const response = await this.octokit.request('POST /gists', {
+                description: GIST_DESCRIPTION,
+                public: false,
+                files: {
+                    [GIST_FILENAME]: {
+                        content: JSON.stringify(content, null, 2)
+                    }
+                },
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+            return response.data.id;
+        } catch (error) {
+            throw new Error("Failed to create gist: " + error.message);
+        }
+    }
+
+    async getGistContent(gist) {
+        try {
+            const raw_url = gist.files[GIST_FILENAME].raw_url;
+            if (this.contents.has(raw_url)) {
+                return structuredClone(this.contents.get(raw_url));
+            }
+            const response = await fetch(raw_url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const text = await response.text();
+            // An empty object here would read as an empty whitelist and clear every server
+            const content = parseDocument(text, 'Gist content');
+            this.contents.clear();
+            this.contents.set(raw_url, content);
+            return structuredClone(content);
+        } catch (error) {
+            if (error instanceof InvalidWhitelistError) throw error;
+            throw new Error("Failed to fetch gist content: " + error.message);
+        }
+    }
+
+    // Uses the configured gist when an ID is known, otherwise the first gist holding config.json
+    async findConfigGist(gistId = null) {
+        if (!gistId) {
+            const gists = await this.getAllGists();
+            const gist = gists.find(g => g.files[GIST_FILENAME]);
+            // Listed gists carry no history, so fetch the full gist
+            return gist ? await this.getGist(gist.id) : null;
+        }
+        return await this.getGist(gistId);
+    }
+
+    // Fetches the latest revision of a gist, or a specific one. The latest
+    // revision is requested with the last ETag; a 304 returns the cached gist.
+    async getGist(gistId, revision = null) {
+        const cached = this.gists.get(gistId);
+        try {
+            if (revision) {
+                const response = await this.octokit.request('GET /gists/{gist_id}/{sha}', {
+                    gist_id: gistId,
+                    sha: revision,
+                    headers: {
+                        'X-GitHub-Api-Version': '2022-11-28'
+                    }
+                });
+                return response.data;
+            }
+
+            const response = await this.octokit.request('GET /gists/{gist_id}', {
+                gist_id: gistId,
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28',
+                    ...(cached ? { 'If-None-Match': cached.etag } : {})
+                }
+            });
+            if (response.headers.etag) {
+                this.gists.set(gistId, { etag: response.headers.etag, data: response.data });
+            }
+            return response.data;
+        } catch (error) {
+            if (error.status === 304 && cached) {
+                return cached.data;
+            }
+            throw new Error("Failed to fetch gist: " + error.message);
+        }
+    }
+
+    async getAllGists() {
+        try {
+            const response = await this.octokit.request('GET /gists', {
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+            return response.data;
+        } catch (error) {
+            throw new Error("Failed to fetch gists: " + error.message);
+        }
+    }
+
+    async updateGist(gistId, content) {
+        try {
+            const response = await this.octokit.request('PATCH /gists/{gist_id}', {
+                gist_id: gistId,
+                files: {
+                    [GIST_FILENAME]: {
+                        content: JSON.stringify(content, null, 2)
+                    }
+                },
+                headers: {
+                    'X-GitHub-Api-Version': '2022-11-28'
+                }
+            });
+            // The cached ETag is for the previous revision
+            this.gists.delete(gistId);
+            return response.data;
+        } catch (error) {
+            throw new Error("Failed to update gist: " + error.message);
+        }
+    }
+}
+
+class WhitelistStore {
+    constructor(type) {
+        this.type = type;
+        this.label = STORE_TYPES[type].label;
+        this.encryptionKey = null;
+        this.revision = null; // Last revision read or written
+    }
+
+    // Raw document to entries, decrypting first when needed
+    decode(document) {
+        return parseWhitelist(decryptDocument(document, this.encryptionKey));
+    }
+
+    encode(whitelist) {
+        const document = serializeWhitelist(whitelist);
+        parseWhitelist(document); // Never store what the next read would refuse
+        return this.encryptionKey ? encryptDocument(document, this.encryptionKey) : document;
+    }
+
+    // Returns the validated entries; older document versions are migrated here
+    // and saved in the current version by the next write
+    async readVersioned() {
+        const { data, revision } = await this.readDocument().catch(error => {
+            incrementMetric('store_errors_total', { store: this.type });
+            throw error;
+        });
+        this.revision = revision;
+        if (data === null) return { data: null, revision };
+        try {
+            return { data: this.decode(data), revision };
+        } catch (error) {
+            throw new InvalidWhitelistError(error.message);
+        }
+    }
+
+    // Backends return the new revision when they learn it from the write
+    async writeVersioned(whitelist, revision) {
+        const written = await this.writeDocument(this.encode(whitelist), revision).catch(error => {
+            // Conflicts are retried, not errors
+            if (!(error instanceof WriteConflictError)) {
+                incrementMetric('store_errors_total', { store: this.type });
+            }
+            throw error;
+        });
+        this.revision = written ?? null;
+    }
+
+    async read() {
+        return (await this.readVersioned()).data;
+    }
+
+    // The stored revision without decoding anything, for cheap change checks
+    async readRevision() {
+        return (await this.readDocument()).revision;
+    }
+
+    // Replaces the whole whitelist, whatever revision (or invalid content) is stored
+    async write(whitelist) {
+        await this.writeVersioned(whitelist, await this.readRevision());
+    }
+
+    // Creates an empty whitelist when none exists yet
+    async setup() {
+        const { data, revision } = await this.readVersioned();
+        if (data) {
+            return { isNew: false };
+        }
+        try {
+            await this.writeVersioned({}, revision);
+        } catch (error) {
+            // Another node created it first
+            if (error instanceof WriteConflictError) return { isNew: false };
+            throw error;
+        }
+        return { isNew: true };
+    }
+
+    // Applies `mutate` to the latest whitelist and writes the result back,
+    // starting over from a fresh read whenever another writer got in first
+    async update(mutate) {
+        for (let attempt = 1; ; attempt++) {
+            const { data, revision } = await this.readVersioned();
+            const whitelist = mutate(structuredClone(data || {}));
+            try {
+                await this.writeVersioned(whitelist, revision);
+                return whitelist;
+            } catch (error) {
+                if (!(error instanceof WriteConflictError)) throw error;
+                if (attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw new Error(`Failed to update whitelist after ${attempt} attempts: ${error.message}`);
+                }
+                // Jitter keeps two conflicting writers from retrying in lockstep
+                await delay(RETRY_DELAY * attempt + Math.random() * RETRY_DELAY);
+            }
+        }
+    }
+
+    // Connectors only ever touch their own key. The entry methods return the
+    // entry they replaced or removed, or null.
+    async setEntry(identifier, entry) {
+        let previous = null;
+        await this.update(whitelist => {
+            previous = whitelist[identifier] ?? null;
+            return { ...whitelist, [identifier]: entry };
+        });
+        return previous;
+    }
+
+    // Like setEntry, but keeps the metadata an administrator set on the entry,
+    // and an address family, for every field the new entry leaves out; an
+    // empty list clears a metadata field. `sign` gets the merged entry, so the
+    // signature covers the kept fields.
+    async publishEntry(identifier, entry, sign = merged => merged) {
+        let previous = null;
+        await this.update(whitelist => {
+            previous = whitelist[identifier] ?? null;
+            const existing = previous || {};
+            const kept = [...ENTRY_METADATA, 'ipv4', 'ipv6'].filter(field => field in existing);
+            const merged = { ...Object.fromEntries(kept.map(field => [field, existing[field]])), ...entry };
+            for (const field of ENTRY_METADATA) {
+                if (Array.isArray(merged[field]) && merged[field].length === 0) delete merged[field];
+            }
+            return { ...whitelist, [identifier]: sign(merged) };
+        });
+        return previous;
+    }
+
+    // Re-encrypts the whitelist with a new key (null stores it unencrypted).
+    // Other nodes cannot read it until they are given the new key.
+    async rotateKey(newKey) {
+        const { data, revision } = await this.readVersioned();
+        const previousKey = this.encryptionKey;
+        this.encryptionKey = newKey;
+        try {
+            await this.writeVersioned(data || {}, revision);
+        } catch (error) {
+            this.encryptionKey = previousKey;
+            throw error;
+        }
+    }
+
+    async removeEntry(identifier) {
+        let previous = null;
+        await this.update(whitelist => {
+            if (!(identifier in whitelist)) {
+                throw new Error(`${identifier} is not in the whitelist`);
+            }
+            previous = whitelist[identifier];
+            delete whitelist[identifier];
+            return whitelist;
+        });
+        return previous;
+    }
+}
+
+// Returns the entries whose value differs between two whitelists
+function changedEntries(before, after) {
+    const changes = {};
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+            changes[key] = after[key];
+        }
+    }
+    return changes;
+}
+
+// Gists have no conditional PATCH, so the revision is checked right before
+// writing and the written revision's parent is verified afterwards. When
+// another write slipped in between, its changes are merged back on the next read.
+class GistStore extends WhitelistStore {
+    constructor({ token, gistId = null } = {}) {
+        super('gist');
+        this.gistManager = new GistManager(token);
+        this.gistId = gistId;
+        this.overwritten = null;
+    }
+
+    describe() {
+        return `${this.label} ${this.gistId || '(auto-detect)'}`;
+    }
+
+    async validate() {
+        return await this.gistManager.validateToken();
+    }
+
+    async readDocument() {
+        const gist = await this.gistManager.findConfigGist(this.gistId);
+        if (!gist) return { data: null, revision: null };
+
+        this.gistId = gist.id;
+        const data = await this.gistManager.getGistContent(gist);
+        const revision = gist.history?.[0]?.version || null;
+
+        if (this.overwritten) {
+            // Re-apply what the overwritten writer changed relative to our base
+            const { base, theirs } = this.overwritten;
+            this.overwritten = null;
+            const entries = this.decode(data);
+            const baseEntries = this.decode(await this.gistManager.getGistContent(await this.gistManager.getGist(gist.id, base)));
+            const theirEntries = this.decode(await this.gistManager.getGistContent(await this.gistManager.getGist(gist.id, theirs)));
+            for (const [key, value] of Object.entries(changedEntries(baseEntries, theirEntries))) {
+                if (value === undefined) {
+                    delete entries[key];
+                } else {
+                    entries[key] = value;
+                }
+            }
+            return { data: serializeWhitelist(entries), revision };
+        }
+        return { data, revision };
+    }
+
+    // One conditional API request; the content is not fetched
+    async readRevision() {
+        const gist = await this.gistManager.findConfigGist(this.gistId);
+        if (!gist) return null;
+        this.gistId = gist.id;
+        return gist.history?.[0]?.version || null;
+    }
+
+    async writeDocument(document, revision) {
+        if (!this.gistId) {
+            if (revision) throw new WriteConflictError('Whitelist gist disappeared');
+            const gist = await this.gistManager.findConfigGist();
+            if (gist) throw new WriteConflictError('Whitelist gist was created by another writer');
+            this.gistId = await this.gistManager.createGist(document);
+            return null;
+        }
+
+        const current = await this.gistManager.getGist(this.gistId);
+        if ((current.history?.[0]?.version || null) !== revision) {
+            throw new WriteConflictError();
+        }
+
+        const updated = await this.gistManager.updateGist(this.gistId, document);
+        const written = updated.history?.[0]?.version;
+        const parent = updated.history?.[1]?.version;
+        // An unchanged PATCH creates no new revision
+        if (written !== revision && parent && parent !== revision) {
+            this.overwritten = { base: revision, theirs: parent };
+            throw new WriteConflictError('Whitelist was changed while it was being written');
+        }
+        return written;
+    }
+}
+
+// A JSON file on local disk or a shared mount (NFS, SMB, ...). The revision
+// is a hash of the content; a lock file serializes check-and-replace.
+class FileStore extends WhitelistStore {
+    constructor({ path } = {}) {
+        super('file');
+        if (!path) {
+            throw new Error('File store requires a path');
+        }
+        this.path = path;
+        this.lockPath = `${path}.lock`;
+    }
+
+    describe() {
+        return `${this.label} ${this.path}`;
+    }
+
+    async validate() {
+        try {
+            await access(existsSync(this.path) ? this.path : dirname(this.path));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async readText() {
+        try {
+            return existsSync(this.path) ? await readFile(this.path, 'utf8') : null;
+        } catch (error) {
+            throw new Error(`Failed to read whitelist file: ${error.message}`);
+        }
+    }
+
+    async readDocument() {
+        const text = await this.readText();
+        if (text === null) return { data: null, revision: null };
+        return {
+            data: parseDocument(text, 'Whitelist file'),
+            revision: createHash('sha256').update(text).digest('hex')
+        };
+    }
+
+    // Works on a file holding invalid JSON too, so write() can replace it
+    async readRevision() {
+        const text = await this.readText();
+        return text === null ? null : createHash('sha256').update(text).digest('hex');
+    }
+
+    async lock() {
+        try {
+            return await open(this.lockPath, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+
+        // Locks left behind by a crashed writer are removed
+        const { mtimeMs } = await stat(this.lockPath).catch(() => ({ mtimeMs: 0 }));
+        if (Date.now() - mtimeMs > STALE_LOCK_AGE) {
+            await unlink(this.lockPath).catch(() => {});
+        }
+        throw new WriteConflictError('Whitelist file is locked by another writer');
+    }
+
+    async writeDocument(document, revision) {
+        await mkdir(dirname(this.path), { recursive: true });
+        const lock = await this.lock();
+        try {
+            if (await this.readRevision() !== revision) {
+                throw new WriteConflictError();
+            }
+
+            // Write then rename so readers never see a half-written file
+            const temporary = `${this.path}.${process.pid}.tmp`;
+            const text = JSON.stringify(document, null, 2);
+            await writeFile(temporary, text);
+            await rename(temporary, this.path);
+            return createHash('sha256').update(text).digest('hex');
+        } catch (error) {
+            if (error instanceof WriteConflictError) throw error;
+            throw new Error(`Failed to write whitelist file: ${error.message}`);
+        } finally {
+            await lock.close();
+            await unlink(this.lockPath).catch(() => {});
+        }
+    }
+}
+
+// Any S3-compatible object store (AWS S3, MinIO, R2, ...). Credentials fall
+// back to the S3_* / AWS_* environment variables when not configured.
+// Writes are conditional on the object's ETag.
+class S3Store extends WhitelistStore {
+    constructor({ endpoint, bucket, key = 'whitelist.json', region, accessKeyId, secretAccessKey } = {}) {
+        super('s3');
+        if (!bucket) {
+            throw new Error('S3 store requires a bucket');
+        }
+
+        const options = { endpoint, bucket, region, accessKeyId, secretAccessKey };
+        this.client = new S3Client(Object.fromEntries(
+            Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+        ));
+        this.bucket = bucket;
+        this.key = key;
+    }
+
+    describe() {
+        return `${this.label} s3://${this.bucket}/${this.key}`;
+    }
+
+    async validate() {
+        try {
+            await this.client.file(this.key).exists();
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async readDocument() {
+        let etag, text;
+        try {
+            const file = this.client.file(this.key);
+            if (!await file.exists()) return { data: null, revision: null };
+            // Stat first: if the object changes in between, the write is refused and retried
+            ({ etag } = await file.stat());
+            text = await file.text();
+        } catch (error) {
+            throw new Error(`Failed to read whitelist object: ${error.message}`);
+        }
+        return { data: parseDocument(text, 'Whitelist object'), revision: etag };
+    }
+
+    // A HEAD request instead of downloading the object
+    async readRevision() {
+        try {
+            const file = this.client.file(this.key);
+            if (!await file.exists()) return null;
+            return (await file.stat()).etag;
+        } catch (error) {
+            throw new Error(`Failed to read whitelist object: ${error.message}`);
+        }
+    }
+
+    async writeDocument(document, revision) {
+        let response;
+        try {
+            const url = this.client.file(this.key).presign({ method: 'PUT', expiresIn: 60 });
+            response = await fetch(url, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(revision ? { 'If-Match': revision } : { 'If-None-Match': '*' })
+                },
+                body: JSON.stringify(document, null, 2)
+            });
+        } catch (error) {
+            throw new Error(`Failed to write whitelist object: ${error.message}`);
+        }
+
+        if (response.status === 412 || response.status === 409) {
+            throw new WriteConflictError();
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to write whitelist object: HTTP ${response.status}`);
+        }
+        return response.headers.get('etag');
+    }
+}
+
+// A plain HTTPS endpoint: GET returns the whitelist, PUT replaces it. Writes
+// carry If-Match with the ETag of the last read when the server sends one,
+// and reads carry If-None-Match so an unchanged whitelist is not sent again.
+class HttpStore extends WhitelistStore {
+    constructor({ url, token } = {}) {
+        super('http');
+        if (!url) {
+            throw new Error('HTTP store requires a URL');
+        }
+        this.url = url;
+        this.token = token;
+        this.exists = true;
+        this.cached = null; // { etag, data } of the last read
+    }
+
+    describe() {
+        return `${this.label} ${this.url}`;
+    }
+
+    headers() {
+        return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    }
+
+    async validate() {
+        try {
+            const response = await fetch(this.url, { headers: this.headers() });
+            return response.ok || response.status === 404;
+        } catch {
+            return false;
+        }
+    }
+
+    async readDocument() {
+        try {
+            const conditional = this.cached ? { 'If-None-Match': this.cached.etag } : {};
+            const response = await fetch(this.url, { headers: { ...this.headers(), ...conditional } });
+            recordRetryAfter(response.status, name => response.headers.get(name));
+            if (response.status === 304 && this.cached) {
+                return { data: structuredClone(this.cached.data), revision: this.cached.etag };
+            }
+            this.exists = response.status !== 404;
+            this.cached = null;
+            if (!this.exists) return { data: null, revision: null };
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = parseDocument(await response.text(), 'Whitelist response');
+            const etag = response.headers.get('etag');
+            if (etag) this.cached = { etag, data: structuredClone(data) };
+            return { data, revision: etag };
+        } catch (error) {
+            if (error instanceof InvalidWhitelistError) throw error;
+            throw new Error(`Failed to fetch whitelist: ${error.message}`);
+        }
+    }
+
+    async writeDocument(document, revision) {
+        const precondition = revision
+            ? { 'If-Match': revision }
+            : this.exists ? {} : { 'If-None-Match': '*' };
+
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: 'PUT',
+                headers: { ...this.headers(), ...precondition, 'Content-Type': 'application/json' },
+                body: JSON.stringify(document, null, 2)
+            });
+            recordRetryAfter(response.status, name => response.headers.get(name));
+        } catch (error) {
+            throw new Error(`Failed to update whitelist: ${error.message}`);
+        }
+
+        if (response.status === 412) {
+            throw new WriteConflictError();
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to update whitelist: HTTP ${response.status}`);
+        }
+        return response.headers.get('etag');
+    }
+}
+
+function createBackend(type, config, options) {
+    switch (type) {
+        case 'gist':
+            return new GistStore({ token: config.githubToken, gistId: config.gistId, ...options });
+        case 'file':
+            return new FileStore(options);
+        case 's3':
+            return new S3Store(options);
+        case 'http':
+            return new HttpStore(options);
+        default:
+            throw new Error(`Unknown whitelist store: ${type}`);
+    }
+}
+
+// Builds the store a saved configuration points at. Configurations without a
+// `store` section predate this setting and use the gist fields.
+export function createWhitelistStore(config = {}) {
+    const { type = 'gist', ...options } = config.store || {};
+    const store = createBackend(type, config, options);
+    store.encryptionKey = config.encryptionKey || null;
+    return store;
+}
+
+export const DEFAULT_POLL_INTERVAL = 30;
+
+// Checks the stored revision every `seconds` and calls onChange when it moved
+// since the last check. Errors are left to the next full sync to report.
+export function pollWhitelist(store, seconds, onChange) {
+    let lastRevision = store.revision;
+    let polling = false;
+    return setInterval(async () => {
+        if (polling) return;
+        polling = true;
+        try {
+            const revision = await store.readRevision();
+            if (lastRevision !== null && revision !== lastRevision) {
+                await onChange(revision);
+            }
+            lastRevision = revision;
+        } catch {
+            // Store unreachable or the sync failed; the next check tries again
+        } finally {
+            polling = false;
+        }
+    }, seconds * 1000);
+}
@@ -0,0 +1,114 @@
+// sync.js
+// Reconciles the tool-owned firewall rules against the whitelist
+import { recordAudit } from './audit.js';
+import { incrementMetric } from './metrics.js';
+import { entryAddresses, formatPortSpec, parsePortSpec, sameEntry } from './whitelist.js';
+
+// Exit code used by plan mode when the firewall has drifted from the whitelist
+export const DRIFT_EXIT_CODE = 2;
+
+const ruleKey = rule => `${rule.ip}|${rule.port}|${rule.proto}`;
+
+// Port policies map a selector to "port/proto" specs. A selector is an
+// identifier, "tag:<name>" for entries carrying that tag, or "*" for every entry.
+export function policySelectors(identifier, entry) {
+    return [identifier, ...(entry?.tags || []).map(tag => `tag:${tag}`), '*'];
+}
+
+// The ports an entry may reach: its own ports plus every matching policy.
+// Entries nothing matches get the default port over TCP.
+export function resolvePorts(identifier, entry, policies = {}, defaultPort = 22) {
+    const specs = [
+        ...(entry?.ports || []),
+        ...policySelectors(identifier, entry).flatMap(selector => policies?.[selector] || [])
+    ];
+    const resolved = new Map();
+    for (const spec of specs) {
+        const parsed = parsePortSpec(spec);
+        if (parsed) resolved.set(formatPortSpec(parsed), parsed);
+    }
+    return resolved.size > 0 ? [...resolved.values()] : [{ port: defaultPort, proto: 'tcp' }];
+}
+
+// Turns a whitelist into the rules it should produce: one per address and port/protocol pair
+export function buildDesiredRules(whitelist, port, policies = {}) {
+    return Object.entries(whitelist).flatMap(([domain, entry]) => {
+        const ports = resolvePorts(domain, entry, policies, port);
+        return entryAddresses(entry).flatMap(ip => ports.map(spec => ({ domain, ip, ...spec })));
+    });
+}
+
+export function formatRule(rule) {
+    return `${rule.ip} to port ${rule.port}/${rule.proto}`;
+}
+
+// Computes the exact difference between the managed rules and the desired ones
+export function planRules(managedRules, desiredRules) {
+    const managed = new Map(managedRules.map(rule => [ruleKey(rule), rule]));
+    const desired = new Map(desiredRules.map(rule => [ruleKey(rule), rule]));
+
+    const add = [...desired.values()].filter(rule => !managed.has(ruleKey(rule)));
+    const unchanged = [...desired.values()].filter(rule => managed.has(ruleKey(rule)));
+    const remove = [...managed.values()].filter(rule => !desired.has(ruleKey(rule)));
+
+    return { add, remove, unchanged };
+}
+
+// Compares the previously applied whitelist with the new one, per domain
+export function diffWhitelist(oldData, newData) {
+    const added = Object.keys(newData).filter(domain => !(domain in oldData));
+    const removed = Object.keys(oldData).filter(domain => !(domain in newData));
+    const changed = Object.keys(newData).filter(domain => domain in oldData && !sameEntry(oldData[domain], newData[domain]));
+    return { added, changed, removed };
+}
+
+// Holds back removing rules that let a live SSH session in, whatever the
+// whitelist says, so a bad whitelist cannot lock out the administrator.
+// Legacy rules without a protocol ('any') cover TCP too.
+export function protectSessions(plan, sessionAddresses, sshPort) {
+    const covers = rule => sessionAddresses.includes(rule.ip) && rule.port === sshPort && rule.proto !== 'udp';
+    return { ...plan, remove: plan.remove.filter(rule => !covers(rule)), held: plan.remove.filter(covers) };
+}
+
+export function hasDrift(plan) {
+    return plan.add.length > 0 || plan.remove.length > 0;
+}
+
+export function summarizePlan(plan) {
+    const held = plan.held?.length ? `, ${plan.held.length} held for SSH sessions` : '';
+    return `${plan.add.length} to add, ${plan.remove.length} to remove, ${plan.unchanged.length} unchanged${held}`;
+}
+
+// Rules nobody in the whitelist had the address of are audited without an identifier
+function auditRule(rule) {
+    return { ...(rule.domain ? { identifier: rule.domain } : {}), rule: { ip: rule.ip, port: rule.port, proto: rule.proto } };
+}
+
+// Removes stale rules before adding new ones, reporting each step through
+// onChange. Each change is audited along with `context` (reason, revision).
+export async function applyPlan(backend, plan, onChange = () => {}, context = {}) {
+    const errors = [];
+    const steps = [
+        ...plan.remove.map(rule => ['remove', rule]),
+        ...plan.add.map(rule => ['add', rule])
+    ];
+
+    for (const [action, rule] of steps) {
+        try {
+            if (action === 'remove') {
+                await backend.removeRule(rule.ip, rule.port, rule.proto);
+            } else {
+                await backend.addRule(rule.ip, rule.port, rule.proto);
+            }
+            incrementMetric('rules_changed_total', { action });
+            await recordAudit(`rule-${action}`, { ...context, ...auditRule(rule) });
+            await onChange(action, rule);
+        } catch (error) {
+            errors.push(error);
+            await recordAudit('rule-failed', { ...context, ...auditRule(rule), action, error: error.message }).catch(() => {});
+            await onChange('error', rule, error);
+        }
+    }
+
+    return errors;
+}
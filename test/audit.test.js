@@ -0,0 +1,77 @@
+// test/audit.test.js
+// The audit records a sync writes per rule change, and the filters `audit show`
+// queries them with.
+import { beforeEach, describe, expect, test } from 'bun:test';
+import { rm } from 'fs/promises';
+import { AUDIT_FILE, readAudit, recordAudit } from '../audit.js';
+import { applyPlan } from '../sync.js';
+
+beforeEach(async () => {
+    await rm(AUDIT_FILE, { force: true });
+});
+
+// Accepts every change, failing only for the given address
+const backendFailingFor = failingIp => ({
+    addRule: async ip => {
+        if (ip === failingIp) throw new Error('Rule rejected');
+    },
+    removeRule: async () => {}
+});
+
+describe('rule changes', () => {
+    test('attribute removed rules to the identifier the plan resolved', async () => {
+        const plan = {
+            remove: [
+                { domain: 'laptop', ip: '203.0.113.10', port: 22, proto: 'tcp' },
+                { domain: null, ip: '198.51.100.1', port: 22, proto: 'tcp' }
+            ],
+            add: [{ domain: 'laptop', ip: '203.0.113.11', port: 22, proto: 'tcp' }],
+            unchanged: []
+        };
+        const errors = await applyPlan(backendFailingFor(null), plan, () => {}, { reason: 'sync', revision: 'r1' });
+
+        expect(errors).toEqual([]);
+        const records = await readAudit();
+        expect(records.map(({ event, identifier }) => [event, identifier])).toEqual([
+            ['rule-remove', 'laptop'],
+            ['rule-remove', undefined],
+            ['rule-add', 'laptop']
+        ]);
+        expect(records[0]).toMatchObject({ reason: 'sync', revision: 'r1', rule: { ip: '203.0.113.10', port: 22, proto: 'tcp' } });
+    });
+
+    test('record a failed change with its identifier', async () => {
+        const plan = { remove: [], add: [{ domain: 'phone', ip: '203.0.113.20', port: 22, proto: 'tcp' }], unchanged: [] };
+        const errors = await applyPlan(backendFailingFor('203.0.113.20'), plan);
+
+        expect(errors).toHaveLength(1);
+        expect(await readAudit({ identifier: 'phone' })).toEqual([
+            expect.objectContaining({ event: 'rule-failed', action: 'add', error: 'Rule rejected' })
+        ]);
+    });
+});
+
+describe('audit show filters', () => {
+    beforeEach(async () => {
+        await recordAudit('publish', { identifier: 'laptop', from: null, to: { ipv4: '203.0.113.10', ipv6: null } });
+        await recordAudit('rule-add', { identifier: 'phone', rule: { ip: '203.0.113.20', port: 22, proto: 'tcp' } });
+        await recordAudit('rule-remove', { identifier: 'laptop', rule: { ip: '203.0.113.10', port: 22, proto: 'tcp' } });
+        await recordAudit('failed', { command: 'server sync', error: 'store unreachable' });
+    });
+
+    test('--identifier keeps only that identifier', async () => {
+        const records = await readAudit({ identifier: 'laptop' });
+        expect(records.map(({ event }) => event)).toEqual(['publish', 'rule-remove']);
+    });
+
+    test('--identifier and --event combine', async () => {
+        const records = await readAudit({ identifier: 'laptop', event: 'rule-remove' });
+        expect(records).toHaveLength(1);
+        expect(records[0].rule.ip).toBe('203.0.113.10');
+    });
+
+    test('--since drops older records', async () => {
+        expect(await readAudit({ since: new Date(Date.now() + 60 * 1000) })).toEqual([]);
+        expect(await readAudit({ since: new Date(Date.now() - 60 * 1000) })).toHaveLength(4);
+    });
+});
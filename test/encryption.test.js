@@ -0,0 +1,79 @@
+// test/encryption.test.js
+// Whitelist encryption: document round trips, wrong and missing keys, and
+// rotating the key of a stored whitelist.
+import { afterAll, describe, expect, test } from 'bun:test';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { decryptDocument, encryptDocument, encryptionKeyId, generateEncryptionKey, isEncrypted, parseEncryptionKey } from '../encryption.js';
+import { createWhitelistStore } from '../store.js';
+import { createEntry, serializeWhitelist } from '../whitelist.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'whitelist-encryption-'));
+
+afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+});
+
+const document = serializeWhitelist({ laptop: createEntry({ ipv4: '203.0.113.10' }) });
+
+describe('encryptDocument and decryptDocument', () => {
+    test('round trip a document without leaking it', () => {
+        const key = generateEncryptionKey();
+        const encrypted = encryptDocument(document, key);
+
+        expect(isEncrypted(encrypted)).toBe(true);
+        expect(encrypted.encrypted.keyId).toBe(encryptionKeyId(key));
+        expect(JSON.stringify(encrypted)).not.toContain('203.0.113.10');
+        expect(decryptDocument(encrypted, key)).toEqual(document);
+    });
+
+    test('pass plaintext documents through', () => {
+        expect(decryptDocument(document, null)).toBe(document);
+    });
+
+    test('refuse a missing key, another key and a tampered document', () => {
+        const key = generateEncryptionKey();
+        const encrypted = encryptDocument(document, key);
+
+        expect(() => decryptDocument(encrypted, null)).toThrow('Whitelist is encrypted');
+        expect(() => decryptDocument(encrypted, generateEncryptionKey())).toThrow('encrypted with another key');
+
+        const data = Buffer.from(encrypted.encrypted.data, 'base64');
+        data[0] ^= 1;
+        const tampered = { encrypted: { ...encrypted.encrypted, data: data.toString('base64') } };
+        expect(() => decryptDocument(tampered, key)).toThrow('Failed to decrypt whitelist');
+    });
+
+    test('only accept 32-byte keys', () => {
+        expect(() => parseEncryptionKey(Buffer.alloc(16).toString('base64'))).toThrow('must be 32 bytes');
+    });
+});
+
+describe('rotateKey', () => {
+    const storeWith = (path, encryptionKey) => createWhitelistStore({ store: { type: 'file', path }, encryptionKey });
+
+    test('re-encrypts the whitelist for the new key only', async () => {
+        const path = join(directory, 'rotate.json');
+        const [oldKey, newKey] = [generateEncryptionKey(), generateEncryptionKey()];
+        const store = storeWith(path, oldKey);
+        await store.setEntry('laptop', createEntry({ ipv4: '203.0.113.10' }));
+        const whitelist = await store.read();
+
+        await store.rotateKey(newKey);
+        const stored = JSON.parse(await readFile(path, 'utf8'));
+        expect(stored.encrypted.keyId).toBe(encryptionKeyId(newKey));
+        expect(await storeWith(path, newKey).read()).toEqual(whitelist);
+        await expect(storeWith(path, oldKey).read()).rejects.toThrow('encrypted with another key');
+    });
+
+    test('stores the whitelist unencrypted without a new key', async () => {
+        const path = join(directory, 'decrypt.json');
+        const store = storeWith(path, generateEncryptionKey());
+        await store.setEntry('laptop', createEntry({ ipv4: '203.0.113.10' }));
+
+        await store.rotateKey(null);
+        expect(isEncrypted(JSON.parse(await readFile(path, 'utf8')))).toBe(false);
+        expect(Object.keys(await storeWith(path, null).read())).toEqual(['laptop']);
+    });
+});
@@ -0,0 +1,44 @@
+// test/knock.test.js
+// Knock verification: signatures, clock skew and replays.
+import { describe, expect, setSystemTime, test } from 'bun:test';
+import { createKnock, verifyKnock } from '../knock.js';
+
+const secret = 'a-shared-knock-secret';
+
+describe('verifyKnock', () => {
+    test('accepts a knock signed with the shared secret', () => {
+        expect(verifyKnock(createKnock('laptop', secret), secret)).toBeNull();
+    });
+
+    test('refuses another secret and a changed knock', () => {
+        const knock = createKnock('laptop', secret);
+        expect(verifyKnock(knock, 'another-knock-secret')).toBe('bad knock signature');
+        expect(verifyKnock({ ...knock, identifier: 'phone' }, secret)).toBe('bad knock signature');
+        expect(verifyKnock({ ...knock, signature: 'abcd' }, secret)).toBe('bad knock signature');
+    });
+
+    test('refuses malformed knocks', () => {
+        expect(verifyKnock(null, secret)).toBe('malformed knock');
+        expect(verifyKnock({ ...createKnock('laptop', secret), timestamp: 'now' }, secret)).toBe('malformed knock');
+    });
+
+    test('refuses a knock from too far in the past or future', () => {
+        const knock = createKnock('laptop', secret);
+        try {
+            setSystemTime(new Date(knock.timestamp + 2 * 60 * 1000));
+            expect(verifyKnock(knock, secret)).toBe('knock timestamp too far from the server clock');
+            setSystemTime(new Date(knock.timestamp - 2 * 60 * 1000));
+            expect(verifyKnock(knock, secret)).toBe('knock timestamp too far from the server clock');
+        } finally {
+            setSystemTime();
+        }
+    });
+
+    test('refuses a replayed knock', () => {
+        const seen = new Map();
+        const knock = createKnock('laptop', secret);
+        expect(verifyKnock(knock, secret, seen)).toBeNull();
+        expect(verifyKnock(knock, secret, seen)).toBe('replayed knock');
+        expect(verifyKnock(createKnock('laptop', secret), secret, seen)).toBeNull();
+    });
+});
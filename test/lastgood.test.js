@@ -0,0 +1,80 @@
+// test/lastgood.test.js
+// What a server sync reads: the store's whitelist, the last-known-good copy
+// while the store is unreachable, and the refusal of a whitelist that shrank
+// too much.
+import { afterAll, beforeEach, describe, expect, test } from 'bun:test';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LAST_GOOD_FILE, ShrinkRefusedError, readWhitelistForSync, saveLastGood } from '../lastgood.js';
+import { createWhitelistStore } from '../store.js';
+import { createEntry } from '../whitelist.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'whitelist-lastgood-'));
+
+afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+});
+
+const whitelistOf = (...identifiers) => Object.fromEntries(identifiers.map((identifier, index) => [
+    identifier,
+    createEntry({ ipv4: `203.0.113.${index + 10}` })
+]));
+
+const fileStore = async whitelist => {
+    const store = createWhitelistStore({ store: { type: 'file', path: join(directory, `${crypto.randomUUID()}.json`) } });
+    await store.setup();
+    for (const [identifier, entry] of Object.entries(whitelist)) {
+        await store.setEntry(identifier, entry);
+    }
+    return store;
+};
+
+beforeEach(async () => {
+    await rm(LAST_GOOD_FILE, { force: true });
+});
+
+describe('unreachable store', () => {
+    // Nothing listens on port 9 of the loopback address
+    const unreachable = createWhitelistStore({ store: { type: 'http', url: 'http://127.0.0.1:9/whitelist.json' } });
+
+    test('falls back to the last-known-good whitelist', async () => {
+        const whitelist = whitelistOf('laptop', 'phone');
+        await saveLastGood(whitelist, 'r1');
+
+        const result = await readWhitelistForSync(unreachable);
+        expect(result.whitelist).toEqual(whitelist);
+        expect(result.revision).toBe('r1');
+        expect(result.offline).toMatchObject({ error: expect.any(String), savedAt: expect.any(String) });
+    });
+
+    test('fails without a last-known-good whitelist', async () => {
+        await expect(readWhitelistForSync(unreachable)).rejects.toThrow();
+    });
+});
+
+describe('shrink threshold', () => {
+    test('applies a whitelist that lost up to the allowed share', async () => {
+        await saveLastGood(whitelistOf('laptop', 'phone', 'tablet', 'desktop'), 'r1');
+        const store = await fileStore(whitelistOf('laptop', 'phone'));
+
+        const result = await readWhitelistForSync(store, { maxShrink: 50 });
+        expect(Object.keys(result.whitelist).sort()).toEqual(['laptop', 'phone']);
+        expect(result.offline).toBeNull();
+    });
+
+    test('refuses a whitelist that lost more than the allowed share', async () => {
+        await saveLastGood(whitelistOf('laptop', 'phone', 'tablet', 'desktop'), 'r1');
+        const store = await fileStore(whitelistOf('laptop'));
+
+        await expect(readWhitelistForSync(store, { maxShrink: 50 })).rejects.toBeInstanceOf(ShrinkRefusedError);
+    });
+
+    test('applies a refused whitelist once it is accepted', async () => {
+        await saveLastGood(whitelistOf('laptop', 'phone', 'tablet', 'desktop'), 'r1');
+        const store = await fileStore(whitelistOf('laptop'));
+
+        const result = await readWhitelistForSync(store, { maxShrink: 50, acceptShrink: true });
+        expect(Object.keys(result.whitelist)).toEqual(['laptop']);
+    });
+});
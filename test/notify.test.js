@@ -0,0 +1,86 @@
+// test/notify.test.js
+// Webhook payloads per format and the failure rate limit, delivered to a
+// local listener.
+import { afterAll, beforeEach, describe, expect, test } from 'bun:test';
+import { notify } from '../notify.js';
+
+// Every request body, by path
+const received = [];
+const listener = Bun.serve({
+    port: 0,
+    hostname: '127.0.0.1',
+    async fetch(request) {
+        const { pathname } = new URL(request.url);
+        if (pathname === '/broken') return new Response('Down', { status: 500 });
+        received.push({ pathname, contentType: request.headers.get('content-type'), body: await request.json() });
+        return new Response(null, { status: 204 });
+    }
+});
+
+afterAll(() => {
+    listener.stop(true);
+});
+
+const webhook = (format, events) => ({ url: `http://127.0.0.1:${listener.port}/${format}`, format, ...(events ? { events } : {}) });
+const bodyFor = format => received.find(({ pathname }) => pathname === `/${format}`)?.body;
+
+beforeEach(() => {
+    received.length = 0;
+});
+
+describe('webhook formats', () => {
+    test('sends each format its own payload', async () => {
+        const settings = { webhooks: ['slack', 'discord', 'matrix', 'json'].map(format => webhook(format)) };
+        const failures = await notify(settings, 'ip-changed', 'laptop is now 203.0.113.10', {
+            key: 'formats',
+            details: { identifier: 'laptop' }
+        });
+
+        expect(failures).toEqual([]);
+        expect(received.every(({ contentType }) => contentType === 'application/json')).toBe(true);
+        expect(bodyFor('slack')).toEqual({ text: expect.stringContaining('laptop is now 203.0.113.10') });
+        expect(bodyFor('discord')).toEqual({ content: expect.stringContaining('laptop is now 203.0.113.10') });
+        expect(bodyFor('matrix')).toMatchObject({ msgtype: 'm.notice', body: expect.stringContaining('laptop is now') });
+        expect(bodyFor('json')).toMatchObject({ event: 'ip-changed', details: { identifier: 'laptop' } });
+        expect(bodyFor('json').text).toStartWith(`[${bodyFor('json').host}] `);
+    });
+
+    test('only sends a webhook the events it asked for', async () => {
+        const settings = { webhooks: [webhook('slack', ['sync-failed']), webhook('json')] };
+        await notify(settings, 'rules-changed', 'Sync applied: 1 added');
+
+        expect(received.map(({ pathname }) => pathname)).toEqual(['/json']);
+    });
+
+    test('reports a failing webhook instead of throwing', async () => {
+        const settings = { webhooks: [{ url: `http://127.0.0.1:${listener.port}/broken`, format: 'json' }, webhook('json')] };
+        const failures = await notify(settings, 'rules-changed', 'Sync applied: 1 removed');
+
+        expect(failures).toEqual([{ destination: settings.webhooks[0].url, error: 'HTTP 500' }]);
+        expect(received).toHaveLength(1);
+    });
+});
+
+describe('rate limit', () => {
+    test('sends every IP change', async () => {
+        const settings = { webhooks: [webhook('json')] };
+        await notify(settings, 'ip-changed', 'phone is now 203.0.113.20', { key: 'phone' });
+        await notify(settings, 'ip-changed', 'phone is now 203.0.113.21', { key: 'phone' });
+
+        expect(received.map(({ body }) => body.text)).toEqual([
+            expect.stringContaining('203.0.113.20'),
+            expect.stringContaining('203.0.113.21')
+        ]);
+    });
+
+    test('holds back a repeated failure and counts it in the next one', async () => {
+        const settings = { webhooks: [webhook('json')] };
+        await notify(settings, 'sync-failed', 'server sync failed: store unreachable');
+        await notify(settings, 'sync-failed', 'server sync failed: store unreachable');
+        expect(received).toHaveLength(1);
+
+        await notify({ ...settings, rateLimit: 0 }, 'sync-failed', 'server sync failed: store unreachable');
+        expect(received).toHaveLength(2);
+        expect(received[1].body.text).toContain('(1 similar notification(s) suppressed)');
+    });
+});
@@ -0,0 +1,103 @@
+// test/scheduler.test.js
+// Scheduling of periodic runs: the normal interval, exponential backoff after
+// failures, and waiting out a store's Retry-After.
+import { afterEach, describe, expect, test } from 'bun:test';
+import { RateLimitedError, Scheduler } from '../scheduler.js';
+import { createWhitelistStore, storeRetryAt } from '../store.js';
+
+const MINUTE = 60 * 1000;
+const schedulers = [];
+
+// Long intervals, so no scheduled run fires during a test
+const schedulerFor = (task, options = {}) => {
+    const scheduler = new Scheduler(task, { interval: MINUTE, ...options });
+    schedulers.push(scheduler);
+    return scheduler;
+};
+const delayOf = scheduler => scheduler.nextRunAt - Date.now();
+const failing = async () => {
+    throw new Error('Store unreachable');
+};
+
+afterEach(() => {
+    schedulers.splice(0).forEach(scheduler => scheduler.stop());
+});
+
+describe('backoff', () => {
+    test('runs again after the interval when a run succeeds', async () => {
+        const scheduler = schedulerFor(async () => 'done');
+        expect(await scheduler.run()).toBe('done');
+        expect(delayOf(scheduler)).toBeGreaterThan(MINUTE - 1000);
+        expect(delayOf(scheduler)).toBeLessThanOrEqual(MINUTE);
+    });
+
+    test('doubles the wait after each failure, with jitter', async () => {
+        const scheduler = schedulerFor(failing);
+        for (const factor of [2, 4, 8]) {
+            await expect(scheduler.run()).rejects.toThrow('Store unreachable');
+            expect(delayOf(scheduler)).toBeGreaterThan(factor * MINUTE * 0.8 - 1000);
+            expect(delayOf(scheduler)).toBeLessThanOrEqual(factor * MINUTE * 1.2);
+        }
+        expect(scheduler.state()).toMatchObject({ failures: 3, lastError: 'Store unreachable' });
+    });
+
+    test('caps the wait at the maximum backoff', async () => {
+        const scheduler = schedulerFor(failing, { maxBackoff: 3 * MINUTE });
+        for (let i = 0; i < 4; i++) {
+            await scheduler.run().catch(() => {});
+        }
+        expect(delayOf(scheduler)).toBeLessThanOrEqual(3 * MINUTE * 1.2);
+    });
+
+    test('returns to the interval after a success', async () => {
+        let fail = true;
+        const scheduler = schedulerFor(async () => {
+            if (fail) throw new Error('Store unreachable');
+        });
+        await scheduler.run().catch(() => {});
+        fail = false;
+        await scheduler.run();
+
+        expect(scheduler.state().failures).toBe(0);
+        expect(delayOf(scheduler)).toBeLessThanOrEqual(MINUTE);
+    });
+
+    test('runs once more after the run in flight for calls made during it', async () => {
+        let runs = 0;
+        const scheduler = schedulerFor(async () => {
+            runs++;
+            await Bun.sleep(10);
+        });
+        await Promise.all([scheduler.run(), scheduler.run(), scheduler.run(), scheduler.run()]);
+        expect(runs).toBe(2);
+    });
+});
+
+describe('Retry-After', () => {
+    test('waits for the time a rate-limited store asked for', async () => {
+        const server = Bun.serve({
+            port: 0,
+            hostname: '127.0.0.1',
+            fetch: () => new Response('Slow down', { status: 429, headers: { 'Retry-After': '1' } })
+        });
+        const store = createWhitelistStore({ store: { type: 'http', url: `http://127.0.0.1:${server.port}/whitelist.json` } });
+        const scheduler = schedulerFor(() => store.read(), { interval: 100 });
+
+        try {
+            await expect(scheduler.run()).rejects.toThrow('HTTP 429');
+            const retryAt = storeRetryAt();
+            expect(retryAt).not.toBeNull();
+            expect(scheduler.nextRunAt.getTime()).toBeGreaterThanOrEqual(retryAt.getTime());
+            expect(scheduler.state().retryAt).toEqual(retryAt);
+
+            // An early run is refused until then
+            const early = await scheduler.run().catch(error => error);
+            expect(early).toBeInstanceOf(RateLimitedError);
+            expect(early.retryAt).toEqual(retryAt);
+        } finally {
+            server.stop(true);
+            // Later tests share the store's rate limit state
+            await Bun.sleep(Math.max(0, (storeRetryAt()?.getTime() ?? 0) - Date.now()) + 10);
+        }
+    });
+});
@@ -0,0 +1,20 @@
+// test/setup.js
+// Preloaded by `npm test`: every module's config directory becomes one
+// temporary directory, so no test reads or writes ~/.config/ssh-whitelist.
+import { afterAll, mock } from 'bun:test';
+import { mkdir, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const directory = await mkdtemp(join(tmpdir(), 'ssh-whitelist-test-'));
+mock.module('../config.js', () => ({
+    CONFIG_DIR: directory,
+    CONFIG_FILE: join(directory, 'config.json'),
+    ensureConfigDir: async () => {
+        await mkdir(directory, { recursive: true });
+    }
+}));
+
+afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+});
@@ -0,0 +1,73 @@
+// test/signing.test.js
+// Entry signatures: what they cover, and how servers sort entries by them.
+import { describe, expect, test } from 'bun:test';
+import { generateKeyPairSync } from 'crypto';
+import { filterTrustedEntries, formatPublicKey, parsePublicKey, signEntry, verifyEntry } from '../signing.js';
+import { createEntry } from '../whitelist.js';
+
+const connector = generateKeyPairSync('ed25519');
+const stranger = generateKeyPairSync('ed25519');
+const trustedLine = formatPublicKey(connector.privateKey, 'laptop');
+const trustedKeys = [parsePublicKey(trustedLine)];
+
+const signed = (identifier = 'laptop', value = { ipv4: '203.0.113.10', ports: ['22'], groups: ['web'] }) =>
+    signEntry(identifier, createEntry(value, 600), connector.privateKey);
+
+describe('signEntry and verifyEntry', () => {
+    test('accept an entry signed by a trusted key', () => {
+        expect(verifyEntry('laptop', signed(), trustedKeys)).toBeNull();
+    });
+
+    test('reject unsigned entries and other keys', () => {
+        expect(verifyEntry('laptop', createEntry({ ipv4: '203.0.113.10' }), trustedKeys)).toBe('unsigned entry');
+        const foreign = signEntry('laptop', createEntry({ ipv4: '203.0.113.10' }), stranger.privateKey);
+        expect(verifyEntry('laptop', foreign, trustedKeys)).toBe('signature does not match any trusted key');
+    });
+
+    test('cover the identifier, addresses, heartbeat and scope', () => {
+        const entry = signed();
+        const tampered = [
+            ['phone', entry],
+            ['laptop', { ...entry, ipv4: '198.51.100.1' }],
+            ['laptop', { ...entry, updatedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }],
+            ['laptop', { ...entry, ttl: 86400 }],
+            ['laptop', { ...entry, ports: ['22', '5432'] }],
+            ['laptop', { ...entry, groups: ['db'] }],
+            ['laptop', { ...entry, servers: ['bastion'] }]
+        ];
+        for (const [identifier, value] of tampered) {
+            expect(verifyEntry(identifier, value, trustedKeys)).not.toBeNull();
+        }
+    });
+
+    test('leave the owner unsigned', () => {
+        expect(verifyEntry('laptop', { ...signed(), owner: 'bob' }, trustedKeys)).toBeNull();
+    });
+});
+
+describe('public keys', () => {
+    test('round trip through the OpenSSH format', () => {
+        const { key, comment } = parsePublicKey(trustedLine);
+        expect(comment).toBe('laptop');
+        expect(key.export({ format: 'jwk' })).toEqual(connector.publicKey.export({ format: 'jwk' }));
+    });
+
+    test('refuse other key types', () => {
+        expect(() => parsePublicKey('ssh-rsa AAAAB3NzaC1yc2E laptop')).toThrow('Not an ssh-ed25519 public key');
+    });
+});
+
+describe('filterTrustedEntries', () => {
+    test('keeps every entry without trusted keys', () => {
+        const whitelist = { phone: createEntry({ ipv4: '203.0.113.20' }) };
+        expect(filterTrustedEntries(whitelist, [])).toEqual({ whitelist, rejected: [] });
+    });
+
+    test('rejects entries no trusted key signed', () => {
+        const whitelist = { laptop: signed(), phone: createEntry({ ipv4: '203.0.113.20' }) };
+        const { whitelist: trusted, rejected } = filterTrustedEntries(whitelist, [trustedLine]);
+
+        expect(Object.keys(trusted)).toEqual(['laptop']);
+        expect(rejected).toEqual([{ identifier: 'phone', reason: 'unsigned entry' }]);
+    });
+});
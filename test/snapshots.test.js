@@ -0,0 +1,43 @@
+// test/snapshots.test.js
+// Snapshots of the managed rules: written when the rules changed, reused when
+// they did not, and pruned to the retention.
+import { beforeEach, describe, expect, test } from 'bun:test';
+import { rm } from 'fs/promises';
+import { SNAPSHOT_DIR, listSnapshots, loadSnapshot, takeSnapshot } from '../snapshots.js';
+
+beforeEach(async () => {
+    await rm(SNAPSHOT_DIR, { recursive: true, force: true });
+});
+
+// A firewall whose managed rules are whatever the test set last
+const firewallWith = rules => ({ listManagedRules: async () => rules });
+const rule = ip => ({ ip, port: 22, proto: 'tcp' });
+const options = { firewall: 'ufw', port: 22 };
+
+describe('takeSnapshot', () => {
+    test('reuses the latest snapshot while the rules are unchanged', async () => {
+        const first = await takeSnapshot(firewallWith([rule('203.0.113.10'), rule('203.0.113.11')]), options);
+        const second = await takeSnapshot(firewallWith([rule('203.0.113.11'), rule('203.0.113.10')]), options);
+
+        expect(second.id).toBe(first.id);
+        expect(await listSnapshots()).toHaveLength(1);
+    });
+
+    test('writes a new snapshot once the rules changed', async () => {
+        await takeSnapshot(firewallWith([rule('203.0.113.10')]), options);
+        await Bun.sleep(5);
+        const changed = await takeSnapshot(firewallWith([rule('203.0.113.12')]), options);
+
+        expect((await loadSnapshot('latest')).id).toBe(changed.id);
+        expect(await listSnapshots()).toHaveLength(2);
+    });
+
+    test('keeps only the newest snapshots', async () => {
+        for (const ip of ['203.0.113.10', '203.0.113.11', '203.0.113.12']) {
+            await takeSnapshot(firewallWith([rule(ip)]), { ...options, retention: 2 });
+            await Bun.sleep(5);
+        }
+        expect((await listSnapshots()).map(({ ruleCount }) => ruleCount)).toEqual([1, 1]);
+        expect((await loadSnapshot('latest')).rules).toEqual([rule('203.0.113.12')]);
+    });
+});
@@ -0,0 +1,165 @@
+// test/store.test.js
+// Round trips and conflict handling of the file and HTTP whitelist stores.
+// The HTTP store runs against a local server that honours If-Match and
+// If-None-Match the way the store expects.
+import { afterAll, beforeEach, describe, expect, test } from 'bun:test';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { InvalidWhitelistError, WriteConflictError, createWhitelistStore } from '../store.js';
+import { createEntry } from '../whitelist.js';
+
+const directory = await mkdtemp(join(tmpdir(), 'whitelist-store-'));
+
+afterAll(async () => {
+    await rm(directory, { recursive: true, force: true });
+});
+
+describe('file store', () => {
+    let path;
+    beforeEach(async () => {
+        path = join(directory, `${crypto.randomUUID()}.json`);
+    });
+
+    test('reads back what it wrote', async () => {
+        const store = createWhitelistStore({ store: { type: 'file', path } });
+        expect(await store.setup()).toEqual({ isNew: true });
+
+        const entry = createEntry({ ipv4: '203.0.113.10' });
+        await store.setEntry('laptop', entry);
+
+        const other = createWhitelistStore({ store: { type: 'file', path } });
+        expect(await other.read()).toEqual({ laptop: entry });
+        expect(other.revision).toBe(store.revision);
+    });
+
+    test('refuses a write against a stale revision', async () => {
+        const store = createWhitelistStore({ store: { type: 'file', path } });
+        await store.setup();
+        const { revision } = await store.readVersioned();
+
+        await store.setEntry('laptop', createEntry({ ipv4: '203.0.113.10' }));
+        await expect(store.writeVersioned({}, revision)).rejects.toBeInstanceOf(WriteConflictError);
+        expect(Object.keys(await store.read())).toEqual(['laptop']);
+    });
+
+    test('keeps both entries when two writers race', async () => {
+        const first = createWhitelistStore({ store: { type: 'file', path } });
+        const second = createWhitelistStore({ store: { type: 'file', path } });
+        await first.setup();
+
+        await Promise.all([
+            first.setEntry('laptop', createEntry({ ipv4: '203.0.113.10' })),
+            second.setEntry('phone', createEntry({ ipv4: '203.0.113.20' }))
+        ]);
+        expect(Object.keys(await first.read()).sort()).toEqual(['laptop', 'phone']);
+    });
+
+    test('keeps the stored scope unless a republished entry sets or clears it', async () => {
+        const store = createWhitelistStore({ store: { type: 'file', path } });
+        await store.setEntry('laptop', createEntry({ ipv4: '203.0.113.10', owner: 'alice', groups: ['web'], servers: ['bastion'] }));
+
+        await store.publishEntry('laptop', createEntry({ ipv4: '203.0.113.11' }));
+        expect(await store.read()).toEqual({ laptop: expect.objectContaining({ owner: 'alice', groups: ['web'], servers: ['bastion'] }) });
+
+        await store.publishEntry('laptop', createEntry({ ipv4: '203.0.113.12', groups: [], servers: ['db'] }));
+        const { laptop } = await store.read();
+        expect(laptop).not.toHaveProperty('groups');
+        expect(laptop).toMatchObject({ ipv4: '203.0.113.12', owner: 'alice', servers: ['db'] });
+    });
+
+    test('keeps the stored address of a family a republished entry leaves out', async () => {
+        const store = createWhitelistStore({ store: { type: 'file', path } });
+        await store.setEntry('laptop', createEntry({ ipv4: '203.0.113.10', ipv6: '2001:db8::10' }));
+
+        const { ipv6, ...entry } = createEntry({ ipv4: '203.0.113.11' });
+        await store.publishEntry('laptop', entry);
+        expect(await store.read()).toEqual({ laptop: expect.objectContaining({ ipv4: '203.0.113.11', ipv6: '2001:db8::10' }) });
+
+        await store.publishEntry('laptop', createEntry({ ipv4: '203.0.113.12', ipv6: null }));
+        expect((await store.read()).laptop.ipv6).toBeNull();
+    });
+
+    test('rejects a file that is not a whitelist', async () => {
+        await writeFile(path, '<html>not json</html>');
+        const store = createWhitelistStore({ store: { type: 'file', path } });
+        await expect(store.read()).rejects.toBeInstanceOf(InvalidWhitelistError);
+    });
+});
+
+describe('http store', () => {
+    // One document per path, versioned by a counter ETag
+    const documents = new Map();
+    const requests = [];
+    let version = 0;
+    const server = Bun.serve({
+        port: 0,
+        hostname: '127.0.0.1',
+        async fetch(request) {
+            const { pathname } = new URL(request.url);
+            const stored = documents.get(pathname);
+            const ifMatch = request.headers.get('if-match');
+            const ifNoneMatch = request.headers.get('if-none-match');
+            requests.push({ method: request.method, pathname, ifMatch, ifNoneMatch });
+
+            if (request.method === 'GET') {
+                if (!stored) return new Response('Not found', { status: 404 });
+                if (ifNoneMatch === stored.etag) return new Response(null, { status: 304, headers: { ETag: stored.etag } });
+                return new Response(stored.text, { headers: { ETag: stored.etag } });
+            }
+            if (request.method === 'PUT') {
+                if ((ifMatch && ifMatch !== stored?.etag) || (ifNoneMatch === '*' && stored)) {
+                    return new Response('Precondition failed', { status: 412 });
+                }
+                const etag = `"${++version}"`;
+                documents.set(pathname, { text: await request.text(), etag });
+                return new Response(null, { status: 204, headers: { ETag: etag } });
+            }
+            return new Response('Method not allowed', { status: 405 });
+        }
+    });
+    afterAll(() => server.stop(true));
+
+    const storeFor = pathname => createWhitelistStore({ store: { type: 'http', url: `http://127.0.0.1:${server.port}${pathname}` } });
+
+    test('creates the whitelist and reads back what it wrote', async () => {
+        const store = storeFor('/roundtrip');
+        expect(await store.setup()).toEqual({ isNew: true });
+        expect(requests.findLast(({ method }) => method === 'PUT').ifNoneMatch).toBe('*');
+
+        const entry = createEntry({ ipv4: '203.0.113.10' });
+        await store.setEntry('laptop', entry);
+        expect(await storeFor('/roundtrip').read()).toEqual({ laptop: entry });
+    });
+
+    test('sends If-Match and reports a stale write as a conflict', async () => {
+        const store = storeFor('/conflict');
+        await store.setup();
+        const { revision } = await store.readVersioned();
+
+        await storeFor('/conflict').setEntry('phone', createEntry({ ipv4: '203.0.113.20' }));
+        await expect(store.writeVersioned({}, revision)).rejects.toBeInstanceOf(WriteConflictError);
+        expect(requests.findLast(({ method }) => method === 'PUT').ifMatch).toBe(revision);
+    });
+
+    test('retries a conflicting update on the latest whitelist', async () => {
+        const first = storeFor('/race');
+        const second = storeFor('/race');
+        await first.setup();
+
+        await Promise.all([
+            first.setEntry('laptop', createEntry({ ipv4: '203.0.113.10' })),
+            second.setEntry('phone', createEntry({ ipv4: '203.0.113.20' }))
+        ]);
+        expect(Object.keys(await first.read()).sort()).toEqual(['laptop', 'phone']);
+    });
+
+    test('reuses its copy when the server answers 304', async () => {
+        const store = storeFor('/cached');
+        await store.setEntry('laptop', createEntry({ ipv4: '203.0.113.10' }));
+        const { data, revision } = await store.readVersioned();
+
+        expect(await store.read()).toEqual(data);
+        expect(requests.at(-1).ifNoneMatch).toBe(revision);
+    });
+});
@@ -0,0 +1,73 @@
+// test/sync.test.js
+// Which rules a whitelist produces and how the managed rules are reconciled
+// with them.
+import { describe, expect, test } from 'bun:test';
+import { buildDesiredRules, planRules, protectSessions, resolvePorts } from '../sync.js';
+
+const rule = (ip, port = 22, proto = 'tcp', domain) => ({ ...(domain ? { domain } : {}), ip, port, proto });
+
+describe('resolvePorts', () => {
+    test('falls back to the default port over TCP', () => {
+        expect(resolvePorts('laptop', { ipv4: '203.0.113.10' }, {}, 2222)).toEqual([{ port: 2222, proto: 'tcp' }]);
+    });
+
+    test('combines the entry ports with identifier, tag and wildcard policies', () => {
+        const policies = {
+            laptop: ['5432'],
+            'tag:vpn': ['51820/udp'],
+            '*': ['443/tcp'],
+            phone: ['8080']
+        };
+        const entry = { ipv4: '203.0.113.10', ports: ['22'], tags: ['vpn'] };
+        expect(resolvePorts('laptop', entry, policies)).toEqual([
+            { port: 22, proto: 'tcp' },
+            { port: 5432, proto: 'tcp' },
+            { port: 51820, proto: 'udp' },
+            { port: 443, proto: 'tcp' }
+        ]);
+    });
+
+    test('drops duplicate and invalid specs', () => {
+        const entry = { ipv4: '203.0.113.10', ports: ['22', '22/tcp', '70000'] };
+        expect(resolvePorts('laptop', entry, { '*': ['22/TCP', 'ssh'] })).toEqual([{ port: 22, proto: 'tcp' }]);
+    });
+});
+
+describe('buildDesiredRules', () => {
+    test('produces one rule per address and port', () => {
+        const whitelist = { laptop: { ipv4: '203.0.113.10', ipv6: '2001:db8::10', ports: ['22', '51820/udp'] } };
+        expect(buildDesiredRules(whitelist, 22)).toEqual([
+            rule('203.0.113.10', 22, 'tcp', 'laptop'),
+            rule('203.0.113.10', 51820, 'udp', 'laptop'),
+            rule('2001:db8::10', 22, 'tcp', 'laptop'),
+            rule('2001:db8::10', 51820, 'udp', 'laptop')
+        ]);
+    });
+});
+
+describe('planRules', () => {
+    test('adds missing rules, removes stale ones and keeps the rest', () => {
+        const managed = [rule('203.0.113.10'), rule('203.0.113.99'), rule('203.0.113.10', 5432)];
+        const desired = [rule('203.0.113.10', 22, 'tcp', 'laptop'), rule('203.0.113.20', 22, 'tcp', 'phone')];
+
+        expect(planRules(managed, desired)).toEqual({
+            add: [rule('203.0.113.20', 22, 'tcp', 'phone')],
+            remove: [rule('203.0.113.99'), rule('203.0.113.10', 5432)],
+            unchanged: [rule('203.0.113.10', 22, 'tcp', 'laptop')]
+        });
+    });
+
+    test('treats another protocol on the same port as another rule', () => {
+        const plan = planRules([rule('203.0.113.10', 51820, 'tcp')], [rule('203.0.113.10', 51820, 'udp')]);
+        expect(plan.add).toHaveLength(1);
+        expect(plan.remove).toHaveLength(1);
+    });
+
+    test('holds back removing the rule of a live SSH session', () => {
+        const plan = planRules([rule('203.0.113.10'), rule('203.0.113.10', 22, 'udp'), rule('203.0.113.11')], []);
+        const protectedPlan = protectSessions(plan, ['203.0.113.10'], 22);
+
+        expect(protectedPlan.held).toEqual([rule('203.0.113.10')]);
+        expect(protectedPlan.remove).toEqual([rule('203.0.113.10', 22, 'udp'), rule('203.0.113.11')]);
+    });
+});
@@ -0,0 +1,65 @@
+// test/whitelist.test.js
+// Parsing stored whitelist documents: the current version, the migration of
+// version 1 documents and the entries that are refused.
+import { describe, expect, test } from 'bun:test';
+import { canonicalIpv6, normalizeEntry, parseWhitelist, serializeWhitelist } from '../whitelist.js';
+
+describe('parseWhitelist', () => {
+    test('reads a version 2 document', () => {
+        const entries = {
+            laptop: { ipv4: '203.0.113.10', ipv6: null, owner: 'alice', ports: ['22', '51820/udp'], tags: ['staff'], updatedAt: '2026-01-01T00:00:00.000Z', ttl: 600 },
+            phone: { ipv4: null, ipv6: '2001:db8::20', groups: ['web'], servers: ['bastion'] }
+        };
+        expect(parseWhitelist(serializeWhitelist(entries))).toEqual(entries);
+    });
+
+    test('migrates a version 1 document', () => {
+        const entries = parseWhitelist({
+            laptop: '203.0.113.10',
+            phone: { ipv4: '203.0.113.20', ipv6: '2001:db8::20' }
+        });
+        expect(entries).toEqual({
+            laptop: { ipv4: '203.0.113.10', ipv6: null },
+            phone: { ipv4: '203.0.113.20', ipv6: '2001:db8::20' }
+        });
+        expect(serializeWhitelist(entries)).toEqual({ version: 2, entries });
+    });
+
+    test('refuses a newer version', () => {
+        expect(() => parseWhitelist({ version: 3, entries: {} })).toThrow('Unsupported whitelist version 3');
+    });
+
+    test('refuses documents that are not objects', () => {
+        expect(() => parseWhitelist(null)).toThrow('document must be a JSON object');
+        expect(() => parseWhitelist([])).toThrow('document must be a JSON object');
+        expect(() => parseWhitelist({ version: 2, entries: [] })).toThrow('entries must be a JSON object');
+    });
+
+    test('lists every invalid entry', () => {
+        const parse = () => parseWhitelist(serializeWhitelist({
+            laptop: { ipv4: '203.0.113.300' },
+            phone: { ipv4: '203.0.113.20', ports: ['22/sctp'] },
+            tablet: { ipv4: '203.0.113.30', ttl: -1 },
+            desktop: 'not an address'
+        }));
+        expect(parse).toThrow('laptop: ipv4 is not a valid IPv4 address');
+        expect(parse).toThrow('phone: ports must be a list');
+        expect(parse).toThrow('tablet: ttl must be a positive number of seconds');
+        expect(parse).toThrow('desktop: no IPv4 or IPv6 address');
+    });
+});
+
+describe('IPv6 addresses', () => {
+    test('are written in their RFC 5952 form', () => {
+        expect(canonicalIpv6('2001:0DB8:0000:0000:0000:0000:0000:0001')).toBe('2001:db8::1');
+        expect(canonicalIpv6('2001:db8:0:0:1:0:0:1')).toBe('2001:db8::1:0:0:1');
+        expect(canonicalIpv6('2001:db8:0:1:1:1:1:1')).toBe('2001:db8:0:1:1:1:1:1');
+        expect(canonicalIpv6('0:0:0:0:0:0:0:0')).toBe('::');
+        expect(canonicalIpv6('::ffff:c000:0201')).toBe('::ffff:192.0.2.1');
+    });
+
+    test('are canonical in normalized entries', () => {
+        expect(normalizeEntry('2001:DB8:0:0::1')).toEqual({ ipv4: null, ipv6: '2001:db8::1' });
+        expect(normalizeEntry({ ipv4: '203.0.113.10', ipv6: '2001:0db8::0001' })).toEqual({ ipv4: '203.0.113.10', ipv6: '2001:db8::1' });
+    });
+});
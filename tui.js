@@ -1,15 +1,20 @@
 import { terminal as term } from 'terminal-kit';
-import { homedir } from 'os';
-import { join } from 'path';
-import { mkdir, writeFile, readFile, unlink } from 'fs/promises';
-import { existsSync } from 'fs';
-import { Octokit } from '@octokit/rest';
 import { $ } from 'bun';
+import os from 'os';
+import { CONFIG_DIR, loadConfig, saveConfig, deleteConfig } from './config.js';
+import { currentStatus, startControlServer, updateStatus } from './control.js';
+import { encryptionKeyId, generateEncryptionKey, parseEncryptionKey } from './encryption.js';
+import { FIREWALL_BACKENDS, createFirewallBackend, detectFirewallBackends } from './firewall.js';
+import { startKnockListener } from './knock.js';
+import { watchNetwork } from './netwatch.js';
+import { startMetricsServer } from './metrics.js';
+import { formatEntry } from './whitelist.js';
+import { RateLimitedError, Scheduler } from './scheduler.js';
+import { listSnapshots } from './snapshots.js';
+import { DEFAULT_POLL_INTERVAL, STORE_TYPES, createWhitelistStore, pollWhitelist } from './store.js';
+import { formatPublicKey, loadSigningKey } from './signing.js';
 
 // Configuration and Constants
-const CONFIG_DIR = join(homedir(), '.config', 'ssh-whitelist');
-const CONFIG_FILE = join(CONFIG_DIR, 'config.json');
-const GIST_FILENAME = 'config.json';
 const UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
 let currentView = 'main'; // Tracks current view state
 let isViewChanging = false; // Prevents multiple view changes
@@ -99,7 +104,7 @@ async function checkAndConfigureSSH() {
     }
 }
 
-async function checkAndConfigureUFW() {
+async function checkAndConfigureUFW(sshPort = 22) {
     try {
         // Check UFW installation
         try {
@@ -124,8 +129,9 @@ async function checkAndConfigureUFW() {
             term.yellow('\n  UFW is inactive. Would you like to enable it?\n');
             const choice = await showMenu(['Yes', 'No']);
             if (choice === 0) {
+                // Allow the port sshd actually listens on before enabling, or this session is cut off
                 term.yellow('\n  Enabling UFW and adding SSH rule...\n');
-                await $`sudo ufw allow ssh`;
+                await $`sudo ufw allow ${sshPort}/tcp`;
                 await $`echo "y" | sudo ufw enable`;
             } else {
                 return false;
@@ -133,9 +139,9 @@ async function checkAndConfigureUFW() {
         }
 
         // Check if SSH is allowed
-        if (!statusOutput.includes('22/tcp') && !statusOutput.includes('22 ')) {
+        if (!statusOutput.includes(`${sshPort}/tcp`) && !statusOutput.includes(`${sshPort} `)) {
             term.yellow('\n  SSH port not allowed in UFW. Adding rule...\n');
-            await $`sudo ufw allow ssh`;
+            await $`sudo ufw allow ${sshPort}/tcp`;
         }
 
         term.green('  ✓ UFW is configured and running\n');
@@ -146,74 +152,89 @@ async function checkAndConfigureUFW() {
     }
 }
 
-// File System Utilities
-async function ensureConfigDir() {
-    if (!existsSync(CONFIG_DIR)) {
-        await mkdir(CONFIG_DIR, { recursive: true });
+async function checkAndConfigureFirewall(config) {
+    const firewallType = config.firewall || 'ufw';
+    if (firewallType === 'ufw') {
+        return checkAndConfigureUFW(config.sshPort || 22);
     }
-}
-
-async function loadConfig() {
-    try {
-        if (!existsSync(CONFIG_FILE)) return null;
-        const data = await readFile(CONFIG_FILE, 'utf-8');
-        return JSON.parse(data);
-    } catch (error) {
-        return null;
-    }
-}
 
-async function saveConfig(config) {
-    await ensureConfigDir();
-    await writeFile(CONFIG_FILE, JSON.stringify(config, null, 2));
-}
-
-async function deleteConfig() {
+    const backend = getFirewallBackend(config);
     try {
-        if (existsSync(CONFIG_FILE)) {
-            await unlink(CONFIG_FILE);
+        if (!await backend.isInstalled()) {
+            term.yellow(`\n  ${backend.label} not found. Would you like to install it?\n`);
+            const choice = await showMenu(['Yes', 'No']);
+            if (choice !== 0) return false;
+            const installed = await installPackage(FIREWALL_BACKENDS[firewallType].package);
+            if (!installed) return false;
         }
+
+        await backend.ensureReady();
+        term.green(`  ✓ ${backend.label} is configured and running\n`);
+        return true;
     } catch (error) {
-        console.error('Error deleting config:', error);
+        term.red(`  ✗ ${backend.label} configuration failed: ${error.message}\n`);
+        return false;
     }
 }
 
-// GitHub Related Utilities
-async function verifyGitHubToken(token) {
+// Whitelist Store Utilities
+async function verifyStore(config) {
     try {
-        const octokit = new Octokit({ auth: token });
-        await octokit.users.getAuthenticated();
-        return true;
+        return await createWhitelistStore(config).validate();
     } catch {
         return false;
     }
 }
 
-async function findOrCreateGist(octokit) {
+function describeStore(config) {
     try {
-        const gists = await octokit.gists.list();
-        const existingGist = gists.data.find(gist => 
-            gist.files[GIST_FILENAME] && 
-            gist.description?.includes('SSH Whitelist IPs')
-        );
-
-        if (existingGist) {
-            return { id: existingGist.id, isNew: false };
-        }
+        return createWhitelistStore(config).describe();
+    } catch (error) {
+        return `invalid (${error.message})`;
+    }
+}
 
-        const newGist = await octokit.gists.create({
-            description: 'SSH Whitelist IPs - Managed by SSH Whitelist Manager',
-            public: false,
-            files: {
-                [GIST_FILENAME]: {
-                    content: JSON.stringify({})
+// Asks for the settings of the chosen store type and returns the config fields to save
+async function promptStoreSettings(type) {
+    switch (type) {
+        case 'gist': {
+            term.gray('  - Generate at: https://github.com/settings/tokens\n');
+            term.gray('  - Required scope: gist\n');
+            const token = await getInput('  Enter token: ', true);
+            return { githubToken: token, store: { type } };
+        }
+        case 'file': {
+            term.gray('  - Use a path on a shared mount (NFS, SMB, ...) to share it between machines\n');
+            const path = await getInput(`  Enter file path (default: ${CONFIG_DIR}/whitelist.json): `);
+            return { store: { type, path: path || `${CONFIG_DIR}/whitelist.json` } };
+        }
+        case 's3': {
+            term.gray('  - Works with AWS S3, MinIO, Cloudflare R2 and other S3-compatible services\n');
+            term.gray('  - Leave credentials empty to use the S3_* / AWS_* environment variables\n');
+            const endpoint = await getInput('  Endpoint URL (empty for AWS): ');
+            const bucket = await getInput('  Bucket: ');
+            const key = await getInput('  Object key (default: whitelist.json): ');
+            const region = await getInput('  Region (optional): ');
+            const accessKeyId = await getInput('  Access key ID (optional): ');
+            const secretAccessKey = accessKeyId ? await getInput('  Secret access key: ', true) : '';
+            return {
+                store: {
+                    type,
+                    endpoint: endpoint || undefined,
+                    bucket,
+                    key: key || 'whitelist.json',
+                    region: region || undefined,
+                    accessKeyId: accessKeyId || undefined,
+                    secretAccessKey: secretAccessKey || undefined
                 }
-            }
-        });
-
-        return { id: newGist.data.id, isNew: true };
-    } catch (error) {
-        throw new Error(`GitHub Gist Error: ${error.message}`);
+            };
+        }
+        case 'http': {
+            term.gray('  - GET must return the whitelist JSON and PUT must replace it\n');
+            const url = await getInput('  Endpoint URL: ');
+            const token = await getInput('  Bearer token (optional): ', true);
+            return { store: { type, url, token: token || undefined } };
+        }
     }
 }
 
@@ -227,6 +248,51 @@ function drawHeader(text = '') {
     }
 }
 
+// Bottom line of the node screens: when the next update runs, and why it waits longer after failures
+function drawSchedule({ failures, lastError, nextRunAt, retryAt }) {
+    if (!nextRunAt) return;
+    term.saveCursor();
+    term.moveTo(1, term.height).eraseLine();
+    if (failures > 0) {
+        term.yellow(`  Backing off after ${failures} failed update(s)${retryAt ? ' (rate limited)' : ''}: next try at ${nextRunAt.toLocaleTimeString()}`);
+        term.gray(` - ${lastError}`);
+    } else if (retryAt) {
+        term.yellow(`  Rate limited: next update at ${nextRunAt.toLocaleTimeString()}`);
+    } else {
+        term.gray(`  Next update at ${nextRunAt.toLocaleTimeString()}`);
+    }
+    term.restoreCursor();
+}
+
+// Node updates are the CLI's commands, so the TUI publishes and syncs exactly
+// like `connector push` and `server sync`; they print their own progress
+async function runCommand(...argv) {
+    const { run } = await import('./index.js');
+    const exitCode = await run(argv);
+    if (exitCode !== 0) {
+        throw new Error(`${argv.slice(0, 2).join(' ')} failed with exit code ${exitCode}`);
+    }
+}
+
+// Says why an update did not run while the store is rate limited; the
+// commands print their own failures
+function reportRateLimit(error) {
+    if (error instanceof RateLimitedError) {
+        term.yellow(`\n  ${error.message}\n`);
+    }
+}
+
+// Runs a node's update every UPDATE_INTERVAL, backing off after failures
+function createNodeScheduler(update) {
+    return new Scheduler(update, {
+        interval: UPDATE_INTERVAL,
+        onChange: state => {
+            updateStatus({ nextRun: state.nextRunAt.toISOString(), failures: state.failures });
+            drawSchedule(state);
+        }
+    });
+}
+
 async function showMenu(items) {
     const response = await term.singleColumnMenu(items).promise;
     return response.selectedIndex;
@@ -259,11 +325,14 @@ async function showWelcomeScreen() {
   2. Server Node (Ubuntu/Debian):
      - Monitors allowed IPs
      - Manages firewall rules
-     - Requires: SSH Server & UFW
+     - Requires: SSH Server & a firewall
+       (UFW, nftables, iptables or firewalld)
      
   Requirements:
-  - GitHub Token (with gist scope)
-    Get it from: https://github.com/settings/tokens
+  - A shared whitelist store, one of:
+    GitHub Gist (token with gist scope, from
+    https://github.com/settings/tokens), a shared file,
+    an S3-compatible bucket or an HTTPS endpoint
   
   Press any key to continue...`);
     
@@ -282,7 +351,7 @@ async function showSystemCheck() {
   This application needs sudo rights to:
   - Install required packages
   - Configure SSH server
-  - Manage UFW rules
+  - Manage firewall rules
   
   Please run this command and try again:
   sudo echo "SSH Whitelist Manager sudo access granted"
@@ -308,7 +377,7 @@ async function showInitialMenu(existingConfig) {
     if (existingConfig) {
         term.white(`  Current Configuration:\n`);
         term.gray(`  - Type: ${existingConfig.nodeType === 'connector' ? 'Connector Node' : 'Server Node'}\n`);
-        term.gray(`  - Domain: ${existingConfig.domain}\n`);
+        term.gray(`  - Identifier: ${existingConfig.identifier || 'n/a'}\n`);
         term.gray(`  - Last Run: ${existingConfig.lastRun || 'Never'}\n\n`);
     }
 
@@ -377,6 +446,14 @@ async function performSystemCheck() {
             term.white('  UFW Firewall:\n');
             term.gray('  - ✗ Not installed\n\n');
         }
+
+        // Check other firewall backends
+        const available = await detectFirewallBackends();
+        term.white('  Firewall Backends:\n');
+        for (const [type, { label }] of Object.entries(FIREWALL_BACKENDS)) {
+            term.gray(`  - ${available.includes(type) ? '✓' : '✗'} ${label}\n`);
+        }
+        term('\n');
     }
 
     term.white('  Press any key to return to menu...');
@@ -413,28 +490,12 @@ async function detectSSHPort() {
     }
 }
 
-// Modify the UFW management functions to use the configured port
-async function addUFWRule(ip, config) {
-    try {
-        await $`sudo ufw allow from ${ip} to any port ${config.sshPort}`;
-        term.green(`  ✓ Added UFW rule: allow from ${ip} to port ${config.sshPort}\n`);
-    } catch (error) {
-        throw new Error(`Failed to add UFW rule: ${error.message}`);
-    }
-}
-
-async function removeUFWRule(oldIp, config) {
-    try {
-        await $`sudo ufw delete deny from ${oldIp} to any port ${config.sshPort}`;
-        term.green(`  ✓ Removed UFW rule for ${oldIp}\n`);
-    } catch (error) {
-        throw new Error(`Failed to remove UFW rule: ${error.message}`);
-    }
+// Firewall management functions using the configured backend and port
+function getFirewallBackend(config) {
+    return createFirewallBackend(config.firewall || 'ufw', { port: config.sshPort });
 }
 
 
-
-
 async function setupWizard(isReset = false) {
     // Handle reset request if user wants to create new configuration
     if (isReset) {
@@ -464,6 +525,7 @@ async function setupWizard(isReset = false) {
 
             const isServer = nodeTypeChoice === 1;
             let sshPort = null;
+            let firewall = null;
 
             // Step 2: Server-specific Requirements Check
             if (isServer) {
@@ -496,60 +558,94 @@ async function setupWizard(isReset = false) {
 
                 term.green(`\n  ✓ Detected SSH port: ${sshPort}\n`);
 
-                // UFW Check and Configuration
-                term.yellow('\n  Checking UFW status...');
-                try {
-                    await $`which ufw`;
-                    const ufwStatus = await $`sudo ufw status`;
-                    const statusOutput = ufwStatus.stdout.toString();
-                    
-                    if (!statusOutput.includes('Status: active')) {
-                        term.yellow('\n  UFW is not active. Enabling UFW...');
-                        await $`sudo ufw allow ${sshPort}`;
-                        await $`echo "y" | sudo ufw enable`;
-                    }
-                    
-                    term.green('\n  ✓ UFW is configured and running\n');
-                } catch (error) {
-                    throw new Error('UFW is required for server node operation');
+                // Firewall Backend Selection
+                term.yellow('\n  Detecting firewall backends...');
+                const available = await detectFirewallBackends();
+                const backendTypes = Object.keys(FIREWALL_BACKENDS);
+                term.white('\n  Select firewall backend:\n');
+                const backendChoice = await showMenu(backendTypes.map(type =>
+                    `${FIREWALL_BACKENDS[type].label}${available.includes(type) ? ' (detected)' : ''}`
+                ));
+                firewall = backendTypes[backendChoice];
+
+                // Firewall Check and Configuration
+                term.yellow(`\n  Checking ${FIREWALL_BACKENDS[firewall].label} status...`);
+                if (!await checkAndConfigureFirewall({ firewall, sshPort })) {
+                    throw new Error(`${FIREWALL_BACKENDS[firewall].label} is required for server node operation`);
                 }
             }
 
-            // Step 3: GitHub Token Setup
-            term.white('\n  GitHub Token Setup\n');
-            term.gray('  - Generate at: https://github.com/settings/tokens\n');
-            term.gray('  - Required scope: gist\n');
-            const token = await getInput('  Enter token: ', true);
+            // Step 3: Whitelist Store Setup
+            term.white('\n  Select where the whitelist is stored:\n');
+            const storeTypes = Object.keys(STORE_TYPES);
+            const storeChoice = await showMenu(storeTypes.map(type => STORE_TYPES[type].label));
+            const storeSettings = await promptStoreSettings(storeTypes[storeChoice]);
+            const store = createWhitelistStore(storeSettings);
             
-            // Verify GitHub token
-            term.yellow('\n  Verifying GitHub access...');
-            if (!await verifyGitHubToken(token)) {
-                throw new Error('Invalid GitHub token');
+            // Verify store access
+            term.yellow(`\n  Verifying ${store.label} access...`);
+            if (!await store.validate()) {
+                throw new Error(`Cannot access ${store.describe()}`);
+            }
+            term.green('\n  ✓ Access verified\n');
+
+            // Step 4: Whitelist Encryption
+            term.white('\n  Whitelist Encryption\n');
+            term.gray('  - Encrypts the whitelist so the store only ever holds ciphertext\n');
+            term.gray('  - Every connector and server needs the same key\n');
+            const encryptionChoice = await showMenu([
+                'Generate a new key (first node)',
+                'Enter the key from another node',
+                'No encryption'
+            ]);
+            let encryptionKey = null;
+            if (encryptionChoice === 0) {
+                encryptionKey = generateEncryptionKey();
+            } else if (encryptionChoice === 1) {
+                encryptionKey = (await getInput('  Enter key: ', true)).trim();
+                parseEncryptionKey(encryptionKey);
             }
-            term.green('\n  ✓ Token verified\n');
+            store.encryptionKey = encryptionKey;
 
-            // Step 4: Configure Identifier (only for connector nodes)
+            // Step 5: Configure Identifier, and which servers apply the entry
             let identifier = null;
+            let group = null;
+            let entryGroups = [];
+            const splitList = value => value.split(',').map(name => name.trim()).filter(Boolean);
             if (!isServer) {
                 term.white('\n  Computer Identifier\n');
                 term.gray('  - Name to identify this machine\n');
                 term.gray('  - Example: home-laptop, office-desktop\n');
                 identifier = await getInput('  Enter identifier: ');
+
+                term.white('\n  Server Groups\n');
+                term.gray('  - Server groups this machine may reach, comma separated\n');
+                term.gray('  - Leave empty to be whitelisted on every server\n');
+                entryGroups = splitList(await getInput('  Enter groups: '));
+            } else {
+                term.white('\n  Server Identity\n');
+                term.gray('  - Entries can be limited to servers by name or group\n');
+                identifier = await getInput(`  Server name (default: ${os.hostname()}): `) || os.hostname();
+                term.gray('  - Example: prod, staging (leave empty for no group)\n');
+                group = await getInput('  Server group: ') || null;
             }
 
-            // Step 5: GitHub Gist Setup
-            term.yellow('\n  Setting up secure gist...');
-            const octokit = new Octokit({ auth: token });
-            const { id: gistId, isNew } = await findOrCreateGist(octokit);
-            term.green(`\n  ✓ ${isNew ? 'Created new' : 'Found existing'} gist\n`);
+            // Step 6: Whitelist Setup
+            term.yellow('\n  Setting up whitelist...');
+            const { isNew } = await store.setup();
+            term.green(`\n  ✓ ${isNew ? 'Created new' : 'Found existing'} whitelist in ${store.describe()}\n`);
 
             // Create and save configuration
             const config = {
                 nodeType: isServer ? 'server' : 'connector',
-                githubToken: token,
-                gistId: gistId,
-                identifier: identifier,  // Will be null for server
+                ...storeSettings,
+                gistId: store.gistId || null,  // Only set for the gist store
+                identifier: identifier,  // Server name for server nodes
+                group: group,           // Will be null for connector
+                entryGroups: entryGroups, // Empty for server
+                encryptionKey: encryptionKey, // Null when the whitelist is not encrypted
                 sshPort: sshPort,       // Will be null for connector
+                firewall: firewall,     // Will be null for connector
                 lastRun: new Date().toISOString()
             };
 
@@ -563,11 +659,19 @@ async function setupWizard(isReset = false) {
   Your ${config.nodeType} node will:
   ${config.nodeType === 'connector' ? `
   - Track IP changes for: ${identifier}
-  - Update the central gist every ${UPDATE_INTERVAL / 60000} minutes
+  - Be whitelisted on: ${entryGroups.length ? `server groups ${entryGroups.join(', ')}` : 'every server'}
+  - Update the central whitelist every ${UPDATE_INTERVAL / 60000} minutes
+  - Sign its entry with this key (trust it on servers with
+    \`keys trust <key>\`):
+    ${formatPublicKey(await loadSigningKey(), identifier)}
   - Show real-time status updates` : `
-  - Monitor IP whitelist changes
-  - Manage UFW rules for port ${sshPort}
-  - Update firewall automatically`}
+  - Monitor IP whitelist changes for ${identifier}${group ? ` (group ${group})` : ''}
+  - Manage ${FIREWALL_BACKENDS[firewall].label} rules for port ${sshPort}
+  - Update firewall automatically`}${encryptionChoice === 0 ? `
+
+  The whitelist is encrypted with this key (key ID ${encryptionKeyId(encryptionKey)}).
+  Enter it on every other node:
+    ${encryptionKey}` : ''}
   
   Press any key to start...`);
 
@@ -599,71 +703,32 @@ async function setupWizard(isReset = false) {
 
 // Connector Node Implementation
 async function runConnectorNode(config) {
-    let lastIP = '';
-    let lastCheck = null;
-    let isUpdating = false;
+    let lastIP = null;
     let currentView = 'main';
     let isViewChanging = false;
+    const scheduler = createNodeScheduler(updateIP);
+
+    if (config.metrics?.port) {
+        startMetricsServer(config.metrics);
+    }
+    await startControlServer({
+        nodeType: 'connector',
+        identifier: config.identifier,
+        refresh: () => scheduler.run(),
+        whitelist: () => fetchWhitelist(config)
+    }).catch(error => term.yellow(`\n  Warning: ${error.message}\n`));
+
+    // Publish right after a network switch or resume instead of waiting for the timer
+    const watcher = config.networkWatch === false
+        ? null
+        : await watchNetwork(() => scheduler.run(), { debounce: config.networkDebounce });
 
-    // Function to handle IP updates
     async function updateIP() {
-        if (isUpdating) return;
-        isUpdating = true;
-        
-        try {
-            term.saveCursor();
-            term.column(2).eraseLine();
-            term.yellow('Checking current IP...');
-            
-            const response = await fetch('https://api.ipify.org?format=json');
-            const { ip } = await response.json();
-            
-            lastCheck = new Date();
-            
-            if (ip === lastIP) {
-                term.column(2).eraseLine();
-                term.green(`✓ IP unchanged (${ip})`);
-                term.column(2).down(1).eraseLine();
-                term.gray(`Last check: ${lastCheck.toLocaleString()}`);
-                term.restoreCursor();
-                isUpdating = false;
-                return;
-            }
-            
-            lastIP = ip;
-            term.column(2).eraseLine();
-            term.yellow(`IP changed to: ${ip}, updating whitelist...`);
-            
-            const octokit = new Octokit({ auth: config.githubToken });
-            const gist = await octokit.gists.get({ gist_id: config.gistId });
-            const currentContent = JSON.parse(gist.data.files[GIST_FILENAME].content || '{}');
-            
-            currentContent[config.domain] = ip;
-            
-            await octokit.gists.update({
-                gist_id: config.gistId,
-                files: {
-                    [GIST_FILENAME]: {
-                        content: JSON.stringify(currentContent, null, 2)
-                    }
-                }
-            });
-            
-            config.lastRun = new Date().toISOString();
-            await saveConfig(config);
-            
-            term.column(2).eraseLine();
-            term.green(`✓ IP updated successfully to: ${ip}`);
-            term.column(2).down(1).eraseLine();
-            term.gray(`Last update: ${lastCheck.toLocaleString()}`);
-        } catch (error) {
-            term.column(2).eraseLine();
-            term.red(`✗ Error: ${error.message}`);
-            throw error;
-        } finally {
-            isUpdating = false;
-            term.restoreCursor();
-        }
+        term.yellow(`\n  ${new Date().toLocaleTimeString()} Publishing current IP...\n`);
+        await runCommand('connector', 'push');
+        lastIP = currentStatus().lastIp;
+        // The command saved the new lastRun; keep the configuration view in step
+        config.lastRun = new Date().toISOString();
     }
 
     // Function to show the main view
@@ -672,9 +737,9 @@ async function runConnectorNode(config) {
         term.clear();
         drawHeader('Connector Node Active');
         term.white(`
-  Identifier: ${config.domain}
+  Identifier: ${config.identifier}
   Status: Monitoring IP changes
-  Update frequency: Every ${UPDATE_INTERVAL / 60000} minutes
+  Update frequency: Every ${UPDATE_INTERVAL / 60000} minutes${watcher ? `, and on network changes (${watcher.sources.join(', ')})` : ''}
   
   Controls:
   - Press R to refresh manually
@@ -684,6 +749,7 @@ async function runConnectorNode(config) {
   
   Activity Log:
 `);
+        drawSchedule(scheduler.state());
     }
 
     // Set up keyboard event handling
@@ -702,7 +768,7 @@ async function runConnectorNode(config) {
             switch (key.toLowerCase()) {
                 case 'r':
                     if (currentView === 'main') {
-                        await updateIP();
+                        await scheduler.run().catch(reportRateLimit);
                     }
                     break;
 
@@ -712,10 +778,11 @@ async function runConnectorNode(config) {
                         drawHeader('Current Configuration');
                         term.white(`
   Node Type: Connector
-  Domain: ${config.domain}
-  Gist ID: ${config.gistId}
+  Identifier: ${config.identifier}
+  Store: ${describeStore(config)}
   Last Run: ${new Date(config.lastRun).toLocaleString()}
   Current IP: ${lastIP || 'Not yet determined'}
+  Signing Key: ${formatPublicKey(await loadSigningKey(config.signingKey), config.identifier)}
   
   Press any key to return to main view...`);
                         currentView = 'config';
@@ -737,8 +804,8 @@ async function runConnectorNode(config) {
   
   Troubleshooting:
   - If updates fail, check your internet connection
-  - Verify your GitHub token hasn't expired
-  - Ensure the gist is accessible
+  - Verify your store credentials haven't expired
+  - Ensure the whitelist store is accessible
   
   Press any key to return to main view...`);
                         currentView = 'help';
@@ -754,94 +821,84 @@ async function runConnectorNode(config) {
 
     // Initialize the display
     await showMainView();
-    await updateIP();
-    return setInterval(updateIP, UPDATE_INTERVAL);
+    try {
+        await scheduler.run();
+    } catch (error) {
+        // A rate-limited start waits for its scheduled run. Otherwise the startup
+        // error menu takes over; trying again starts a new node.
+        if (!(error instanceof RateLimitedError)) {
+            scheduler.stop();
+            watcher?.stop();
+            throw error;
+        }
+        reportRateLimit(error);
+    }
+    return scheduler;
+}
+
+// Server Sync Planning
+// The encryption key resolves the way the CLI resolves it
+async function fetchWhitelist(config, store = createWhitelistStore({ ...config, encryptionKey: process.env.WHITELIST_ENCRYPTION_KEY ?? config.encryptionKey })) {
+    const whitelist = await store.read();
+    if (!whitelist) {
+        throw new Error('No whitelist found in the configured store');
+    }
+    return whitelist;
+}
+
+// Servers set up before they had a name fall back to the hostname
+function serverIdentity(config) {
+    return { name: config.identifier || os.hostname(), group: config.group || null };
 }
 
 // Server Node Implementation
 async function runServerNode(config) {
     let lastUpdate = null;
-    let isUpdating = false;
-    let currentRules = new Set();
-    
-    async function updateRules() {
-        if (isUpdating) return;
-        isUpdating = true;
-        
+    let acceptShrink = false;
+    const scheduler = createNodeScheduler(updateRules);
+
+    if (config.metrics?.port) {
+        startMetricsServer(config.metrics);
+    }
+    await startControlServer({
+        nodeType: 'server',
+        identifier: serverIdentity(config).name,
+        refresh: () => scheduler.run(),
+        whitelist: () => fetchWhitelist(config)
+    }).catch(error => term.yellow(`\n  Warning: ${error.message}\n`));
+
+    // Connectors knock after publishing a new address
+    if (config.knock?.port) {
         try {
-            term.saveCursor();
-            term.column(2).eraseLine();
-            
-            // Verify system requirements again
-            term.yellow('Verifying system requirements...');
-            if (!await checkAndConfigureSSH() || !await checkAndConfigureUFW()) {
-                throw new Error('System requirements check failed');
-            }
-            
-            // Fetch current whitelist
-            term.column(2).eraseLine();
-            term.yellow('Fetching whitelist...');
-            
-            const octokit = new Octokit({ auth: config.githubToken });
-            const gist = await octokit.gists.get({ gist_id: config.gistId });
-            const allowedIPs = JSON.parse(gist.data.files[GIST_FILENAME].content);
-            
-            // Get current UFW rules
-            const rules = await getExistingUFWRules();
-            const newRules = new Set(Object.values(allowedIPs));
-            
-            // Remove rules that are no longer in the whitelist
-            term.column(2).eraseLine();
-            term.yellow('Updating firewall rules...');
-            
-            for (const rule of rules) {
-                const ipMatch = rule.line.match(/\b\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}\b/);
-                if (ipMatch && !newRules.has(ipMatch[0])) {
-                    term.column(2).eraseLine();
-                    term.yellow(`Removing old rule: ${ipMatch[0]}`);
-                    await removeUFWRule(rule.number);
-                }
-            }
-            
-            // Add new rules
-            for (const [domain, ip] of Object.entries(allowedIPs)) {
-                if (!currentRules.has(ip)) {
-                    term.column(2).eraseLine();
-                    term.yellow(`Adding rule for ${domain}: ${ip}`);
-                    await addUFWRule(ip);
-                    currentRules.add(ip);
-                }
-            }
-            
-            // Update last run timestamp in config
-            lastUpdate = new Date();
-            config.lastRun = lastUpdate.toISOString();
-            await saveConfig(config);
-            
-            term.column(2).eraseLine();
-            term.green('✓ Firewall rules updated successfully');
-            term.column(2).down(1).eraseLine();
-            term.gray(`Last update: ${lastUpdate.toLocaleString()}`);
+            startKnockListener({ ...config.knock, onKnock: () => scheduler.run() });
         } catch (error) {
-            term.column(2).eraseLine();
-            term.red(`✗ Error: ${error.message}`);
-            throw error;
-        } finally {
-            isUpdating = false;
-            term.restoreCursor();
+            term.yellow(`\n  Warning: ${error.message}\n`);
         }
     }
+    const pollInterval = config.pollInterval || DEFAULT_POLL_INTERVAL;
+    
+    async function updateRules() {
+        term.yellow(`\n  ${new Date().toLocaleTimeString()} Syncing firewall rules...\n`);
+        await runCommand('server', 'sync', ...(acceptShrink ? ['--accept-shrink'] : []));
+        lastUpdate = new Date();
+        // The command saved the new lastRun; keep the configuration view in step
+        config.lastRun = lastUpdate.toISOString();
+    }
     
     drawHeader('Server Node Active');
     term.white(`
-  Identifier: ${config.domain}
+  Server: ${serverIdentity(config).name}${config.group ? ` (group ${config.group})` : ''}
   Status: Monitoring whitelist
-  Update frequency: Every ${UPDATE_INTERVAL / 60000} minutes
+  Update frequency: Every ${UPDATE_INTERVAL / 60000} minutes, and when the whitelist changes (checked every ${pollInterval}s)
+  Knock listener: ${config.knock?.port ? `${config.knock.host || '0.0.0.0'}:${config.knock.port}` : 'Off'}
   
   Controls:
   - Press R to refresh manually
+  - Press A to apply a whitelist refused for shrinking
+  - Press P to preview pending changes
   - Press C to view current configuration
   - Press L to view current whitelist
+  - Press S to view firewall snapshots
   - Press H for help
   - Press CTRL+C to exit
   
@@ -851,37 +908,75 @@ async function runServerNode(config) {
     // Handle keyboard controls
     term.on('key', async (key) => {
         if (key.toLowerCase() === 'r') {
-            await updateRules();
+            await scheduler.run().catch(reportRateLimit);
+        } else if (key.toLowerCase() === 'a') {
+            // Accepts the shrunken whitelist for this one sync only
+            acceptShrink = true;
+            await scheduler.run().catch(reportRateLimit);
+            acceptShrink = false;
         } else if (key.toLowerCase() === 'c') {
             term.saveCursor();
             drawHeader('Current Configuration');
             term.white(`
   Node Type: Server
-  Domain: ${config.domain}
-  Gist ID: ${config.gistId}
+  Server Name: ${serverIdentity(config).name}
+  Group: ${config.group || 'none'}
+  Firewall: ${getFirewallBackend(config).label}
+  Store: ${describeStore(config)}
+  Trusted Keys: ${config.trustedKeys?.length || 'none (signatures not verified)'}
   Last Update: ${lastUpdate ? lastUpdate.toLocaleString() : 'Never'}
-  Active Rules: ${currentRules.size}
+  Active Rules: ${currentStatus().ruleCount ?? 0}
   
   Press any key to return...`);
             await term.inputField({ echo: false }).promise;
             drawHeader('Server Node Active');
             term.restoreCursor();
+            drawSchedule(scheduler.state());
+        } else if (key.toLowerCase() === 'p') {
+            term.saveCursor();
+            drawHeader('Pending Changes (Dry Run)');
+            const { run } = await import('./index.js');
+            await run(['server', 'plan']);
+            term.white('\n  Press any key to return...');
+            await term.inputField({ echo: false }).promise;
+            drawHeader('Server Node Active');
+            term.restoreCursor();
+            drawSchedule(scheduler.state());
         } else if (key.toLowerCase() === 'l') {
             term.saveCursor();
-            const octokit = new Octokit({ auth: config.githubToken });
-            const gist = await octokit.gists.get({ gist_id: config.gistId });
-            const whitelist = JSON.parse(gist.data.files[GIST_FILENAME].content);
+            const whitelist = await fetchWhitelist(config);
             
             drawHeader('Current Whitelist');
             term.white('\n  Active IP Whitelist:\n\n');
-            Object.entries(whitelist).forEach(([domain, ip]) => {
+            Object.entries(whitelist).forEach(([domain, entry]) => {
                 term.white(`  ${domain}: `);
-                term.green(`${ip}\n`);
+                term.green(formatEntry(entry));
+                term.gray(`${entry.owner ? ` (${entry.owner})` : ''}\n`);
+            });
+            term.white('\n  Press any key to return...');
+            await term.inputField({ echo: false }).promise;
+            drawHeader('Server Node Active');
+            term.restoreCursor();
+            drawSchedule(scheduler.state());
+        } else if (key.toLowerCase() === 's') {
+            term.saveCursor();
+            drawHeader('Firewall Snapshots');
+            const snapshots = await listSnapshots();
+            term.white('\n  Managed rules saved before each sync, newest first:\n\n');
+            if (snapshots.length === 0) {
+                term.gray('  No snapshots yet\n');
+            }
+            snapshots.forEach(snapshot => {
+                term.white(`  ${snapshot.id}  `);
+                term.green(`${snapshot.ruleCount} rule(s)`);
+                term.gray(`  ${snapshot.reason}\n`);
             });
+            term.gray('\n  Restore one with: bun index.js snapshots restore <id>\n');
             term.white('\n  Press any key to return...');
             await term.inputField({ echo: false }).promise;
             drawHeader('Server Node Active');
             term.restoreCursor();
+            drawSchedule(scheduler.state());
         } else if (key.toLowerCase() === 'h') {
             term.saveCursor();
             drawHeader('Help');
@@ -889,23 +984,34 @@ async function runServerNode(config) {
   Server Node Help:
   
   This node monitors the central whitelist and automatically
-  updates UFW rules to allow SSH access from whitelisted IPs.
+  updates ${getFirewallBackend(config).label} rules to allow SSH access from whitelisted IPs.
   
   Troubleshooting:
-  - Ensure UFW is running: sudo ufw status
+  - Ensure the firewall is running (e.g. sudo ufw status)
   - Check SSH service: sudo systemctl status ssh
-  - Verify GitHub token hasn't expired
+  - Verify the whitelist store is accessible
   - Check UFW logs: sudo tail -f /var/log/ufw.log
   
   Press any key to return...`);
             await term.inputField({ echo: false }).promise;
             drawHeader('Server Node Active');
             term.restoreCursor();
+            drawSchedule(scheduler.state());
         }
     });
     
-    await updateRules();
-    return setInterval(updateRules, UPDATE_INTERVAL);
+    try {
+        await scheduler.run();
+    } catch (error) {
+        if (!(error instanceof RateLimitedError)) {
+            scheduler.stop();
+            throw error;
+        }
+        reportRateLimit(error);
+    }
+    // Revision checks are conditional requests, so they can run far more often than syncs
+    pollWhitelist(createWhitelistStore(config), pollInterval, () => scheduler.run());
+    return scheduler;
 }
 
 //[Continued in final part...]
@@ -941,11 +1047,11 @@ async function main() {
             // Verify configuration before starting
             term.yellow('\n  Verifying configuration...');
             
-            // Check GitHub access
-            if (!await verifyGitHubToken(config.githubToken)) {
+            // Check whitelist store access
+            if (!await verifyStore(config)) {
                 throw new Error(
-                    'GitHub token has expired or is invalid.\n' +
-                    '  Please set up a new configuration with a valid token.'
+                    `Cannot access the whitelist store (${describeStore(config)}).\n` +
+                    '  Please set up a new configuration with valid store settings.'
                 );
             }
 
@@ -967,9 +1073,9 @@ async function main() {
                     );
                 }
 
-                // Check SSH and UFW
+                // Check SSH and firewall once; they may open setup menus, so syncs never repeat them
                 term.yellow('\n  Checking system requirements...');
-                if (!await checkAndConfigureSSH() || !await checkAndConfigureUFW()) {
+                if (!await checkAndConfigureSSH() || !await checkAndConfigureFirewall(config)) {
                     throw new Error(
                         'System requirements not met.\n' +
                         '  Please check the system requirements and try again.'
@@ -978,16 +1084,16 @@ async function main() {
             }
 
             // Start appropriate node type
-            let interval;
+            let scheduler;
             if (config.nodeType === 'connector') {
-                interval = await runConnectorNode(config);
+                scheduler = await runConnectorNode(config);
             } else {
-                interval = await runServerNode(config);
+                scheduler = await runServerNode(config);
             }
 
             // Set up cleanup for graceful shutdown
             const cleanup = () => {
-                clearInterval(interval);
+                scheduler.stop();
                 term.clear();
                 term.green('\n  Shutting down gracefully...\n');
                 process.exit(0);
@@ -1052,11 +1158,11 @@ async function attemptRecovery(error, config) {
         await fetch('https://api.github.com');
         term.green('  ✓ Internet connection is working\n');
 
-        // Verify GitHub access
-        if (await verifyGitHubToken(config.githubToken)) {
-            term.green('  ✓ GitHub token is valid\n');
+        // Verify whitelist store access
+        if (await verifyStore(config)) {
+            term.green('  ✓ Whitelist store is accessible\n');
         } else {
-            term.red('  ✗ GitHub token is invalid\n');
+            term.red('  ✗ Whitelist store is not accessible\n');
             return false;
         }
 
@@ -1069,10 +1175,10 @@ async function attemptRecovery(error, config) {
                 return false;
             }
 
-            if (await checkAndConfigureUFW()) {
-                term.green('  ✓ UFW is configured\n');
+            if (await checkAndConfigureFirewall(config)) {
+                term.green('  ✓ Firewall is configured\n');
             } else {
-                term.red('  ✗ UFW check failed\n');
+                term.red('  ✗ Firewall check failed\n');
                 return false;
             }
         }
@@ -1097,4 +1203,10 @@ async function startApplication() {
 }
 
 // Initialize and run the application
-startApplication();
+// `--plan` is the CLI's `server plan`
+if (process.argv.includes('--plan')) {
+    const { run } = await import('./index.js');
+    process.exit(await run(process.argv.slice(2)));
+} else {
+    startApplication();
+}
@@ -0,0 +1,222 @@
+// whitelist.js
+// The whitelist document schema and helpers for reading its entries.
+//
+// Version 2 documents look like
+//   { "version": 2, "entries": { "<id>": { ipv4, ipv6, owner, updatedAt, ttl, ports, tags, groups, servers } } }
+// where updatedAt is the connector's last heartbeat, ttl is in seconds,
+// ports lists "port/proto" specs (a bare port number means TCP) and groups /
+// servers limit which server nodes apply the entry.
+// Version 1 was a flat { "<id>": entry } map whose entries were IPv4 strings
+// or { ipv4, ipv6 } objects; it is migrated on read and rewritten as version 2.
+import { isIP } from 'net';
+
+// Constants
+export const WHITELIST_VERSION = 2;
+export const PROTOCOLS = ['tcp', 'udp'];
+// Fields an administrator sets on an entry, kept when a connector republishes it
+export const ENTRY_METADATA = ['owner', 'tags', 'ports', 'groups', 'servers'];
+
+export function ipFamily(ip) {
+    return typeof ip === 'string' ? isIP(ip) : 0;
+}
+
+// The RFC 5952 text form of an IPv6 address: lowercase, no leading zeros and
+// the longest run of zero groups as "::", so one address always compares equal
+export function canonicalIpv6(ip) {
+    const parse = part => part ? part.split(':').flatMap(group => {
+        if (!group.includes('.')) return [parseInt(group, 16)];
+        const [a, b, c, d] = group.split('.').map(Number);
+        return [a << 8 | b, c << 8 | d];
+    }) : [];
+    const [head, tail] = ip.trim().toLowerCase().split('::');
+    const left = parse(head);
+    const right = parse(tail);
+    const groups = tail === undefined ? left : [...left, ...Array(8 - left.length - right.length).fill(0), ...right];
+
+    // IPv4-mapped addresses keep their dotted form
+    if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) {
+        return `::ffff:${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`;
+    }
+
+    // Only a run of two or more zero groups is shortened, the first of equal runs
+    let start = -1;
+    let length = 1;
+    for (let i = 0; i < 8; i++) {
+        let end = i;
+        while (end < 8 && groups[end] === 0) end++;
+        if (end - i > length) [start, length] = [i, end - i];
+        i = end;
+    }
+    const text = list => list.map(group => group.toString(16)).join(':');
+    return start < 0 ? text(groups) : `${text(groups.slice(0, start))}::${text(groups.slice(start + length))}`;
+}
+
+// Parses 22, "22", "5432/tcp" or "51820/udp" into { port, proto }, or null when invalid
+export function parsePortSpec(spec) {
+    const [portText, proto = 'tcp'] = String(spec).trim().toLowerCase().split('/');
+    const port = Number(portText);
+    if (!Number.isInteger(port) || port < 1 || port > 65535 || !PROTOCOLS.includes(proto)) {
+        return null;
+    }
+    return { port, proto };
+}
+
+export function formatPortSpec({ port, proto }) {
+    return `${port}/${proto}`;
+}
+
+export function normalizeEntry(value) {
+    if (typeof value === 'string') {
+        const ip = value.trim();
+        return {
+            ipv4: ipFamily(ip) === 4 ? ip : null,
+            ipv6: ipFamily(ip) === 6 ? canonicalIpv6(ip) : null
+        };
+    }
+
+    return {
+        ipv4: ipFamily(value?.ipv4) === 4 ? value.ipv4 : null,
+        ipv6: ipFamily(value?.ipv6) === 6 ? canonicalIpv6(value.ipv6) : null
+    };
+}
+
+// Returns every valid address of an entry, IPv4 first
+export function entryAddresses(value) {
+    const { ipv4, ipv6 } = normalizeEntry(value);
+    return [ipv4, ipv6].filter(Boolean);
+}
+
+export function sameEntry(a, b) {
+    return entryAddresses(a).join(',') === entryAddresses(b).join(',');
+}
+
+export function formatEntry(value) {
+    const addresses = entryAddresses(value);
+    return addresses.length > 0 ? addresses.join(', ') : 'no valid address';
+}
+
+// Stamps an entry with the current heartbeat and an optional TTL, keeping its metadata
+export function createEntry(value, ttl = null) {
+    const metadata = typeof value === 'object' && value !== null ? value : {};
+    return { ...metadata, ...normalizeEntry(value), updatedAt: new Date().toISOString(), ...(ttl ? { ttl } : {}) };
+}
+
+// When an entry stops being valid. Its own TTL wins over the server's maxAge
+// (both in seconds); entries without a heartbeat never expire.
+export function entryExpiresAt(value, maxAge = null) {
+    if (typeof value !== 'object' || !value?.updatedAt) return null;
+
+    const updatedAt = Date.parse(value.updatedAt);
+    const ttl = value.ttl || maxAge;
+    if (Number.isNaN(updatedAt) || !ttl) return null;
+    return new Date(updatedAt + ttl * 1000);
+}
+
+// Splits a whitelist into current entries and those whose heartbeat expired
+export function filterExpiredEntries(whitelist, maxAge = null, now = new Date()) {
+    const current = {};
+    const expired = [];
+    for (const [identifier, entry] of Object.entries(whitelist)) {
+        const expiresAt = entryExpiresAt(entry, maxAge);
+        if (expiresAt && expiresAt <= now) {
+            expired.push({ identifier, updatedAt: entry.updatedAt, expiresAt });
+        } else {
+            current[identifier] = entry;
+        }
+    }
+    return { whitelist: current, expired };
+}
+
+// Lists what is wrong with an entry; an empty list means it is valid
+function entryProblems(identifier, entry) {
+    const problems = [];
+    const problem = text => problems.push(`${identifier}: ${text}`);
+
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+        problem('entry must be an object');
+        return problems;
+    }
+    for (const family of [4, 6]) {
+        const ip = entry[`ipv${family}`];
+        if (ip !== undefined && ip !== null && ipFamily(ip) !== family) {
+            problem(`ipv${family} is not a valid IPv${family} address`);
+        }
+    }
+    if (entryAddresses(entry).length === 0) {
+        problem('no IPv4 or IPv6 address');
+    }
+    if (entry.owner !== undefined && typeof entry.owner !== 'string') {
+        problem('owner must be a string');
+    }
+    if (entry.updatedAt !== undefined && Number.isNaN(Date.parse(entry.updatedAt))) {
+        problem('updatedAt is not a valid date');
+    }
+    if (entry.ttl !== undefined && !(Number.isInteger(entry.ttl) && entry.ttl > 0)) {
+        problem('ttl must be a positive number of seconds');
+    }
+    if (entry.ports !== undefined && !(Array.isArray(entry.ports) && entry.ports.every(spec => parsePortSpec(spec)))) {
+        problem(`ports must be a list of port or "port/proto" specs (${PROTOCOLS.join(', ')})`);
+    }
+    for (const field of ['tags', 'groups', 'servers']) {
+        if (entry[field] !== undefined && !(Array.isArray(entry[field]) && entry[field].every(value => typeof value === 'string'))) {
+            problem(`${field} must be a list of strings`);
+        }
+    }
+    return problems;
+}
+
+// Whether a server node with this name and group should apply an entry.
+// Entries that name no groups or servers apply everywhere.
+export function entryAllowedOn(entry, { name = null, group = null } = {}) {
+    const groups = entry?.groups || [];
+    const servers = entry?.servers || [];
+    if (groups.length === 0 && servers.length === 0) return true;
+    return Boolean((name && servers.includes(name)) || (group && groups.includes(group)));
+}
+
+// Splits a whitelist into the entries for this server and the identifiers scoped elsewhere
+export function filterEntriesForServer(whitelist, server = {}) {
+    const applicable = {};
+    const skipped = [];
+    for (const [identifier, entry] of Object.entries(whitelist)) {
+        if (entryAllowedOn(entry, server)) {
+            applicable[identifier] = entry;
+        } else {
+            skipped.push(identifier);
+        }
+    }
+    return { whitelist: applicable, skipped };
+}
+
+// Validates a stored document of any known version and returns its entries.
+// Throws when the document is malformed rather than guessing at its meaning.
+export function parseWhitelist(document) {
+    if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+        throw new Error('Invalid whitelist: document must be a JSON object');
+    }
+    if (document.version !== undefined && document.version !== WHITELIST_VERSION) {
+        throw new Error(`Unsupported whitelist version ${document.version}, this tool understands up to ${WHITELIST_VERSION}`);
+    }
+
+    const stored = document.version === WHITELIST_VERSION ? document.entries : document;
+    if (typeof stored !== 'object' || stored === null || Array.isArray(stored)) {
+        throw new Error('Invalid whitelist: entries must be a JSON object');
+    }
+
+    const entries = {};
+    const problems = [];
+    for (const [identifier, entry] of Object.entries(stored)) {
+        // Version 1 allowed a bare IPv4 string
+        const migrated = typeof entry === 'string' ? normalizeEntry(entry) : entry;
+        problems.push(...entryProblems(identifier, migrated));
+        entries[identifier] = migrated;
+    }
+    if (problems.length > 0) {
+        throw new Error(`Invalid whitelist: ${problems.join('; ')}`);
+    }
+    return entries;
+}
+
+export function serializeWhitelist(entries) {
+    return { version: WHITELIST_VERSION, entries };
+}